@@ -1,10 +1,17 @@
 import express from 'express';
 import https from 'https';
-import fs from 'fs/promises';
 import { readFileSync, existsSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import cors from 'cors';
+import { createVenueStore, isValidId, DOCUMENTS, RevisionConflictError, DEFAULT_VENUE_ID, DEFAULT_FLOOR_ID } from './server/venues.js';
+import { EDGE_TYPES, ROUTING_PROFILES, DEFAULT_ROUTING_PROFILE, buildVenueGraph, withoutClosures } from './src/graph.js';
+import { planRoute, resolveDestination, routeBarriers, hasNode, GraphValidationError } from './src/pathfinding.js';
+import { diffDocuments } from './src/map-diff.js';
+import { validateDocument, validateFloorMap } from './src/map-validation.js';
+import { applyCommand, describeCommand, floorMap, MapCommandError } from './src/map-commands.js';
+import { POI_CATEGORIES, buildDirectory, searchPois, findPoi, isOpen } from './src/pois.js';
+import { createKeyStore, authenticate, requireRole, KEYS_FILE, ROLES } from './server/auth.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,9 +19,17 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 const HTTPS_PORT = 3443;
-const DATA_FILE = path.join(__dirname, 'cube-positions.json');
-const GRAPH_FILE = path.join(__dirname, 'graph-adjacency.json');
-const ROOMS_FILE = path.join(__dirname, 'node-room-mapping.json');
+
+// Venue/floor map storage; the default venue uses the legacy JSON files in the data directory
+const DATA_DIR = process.env.MAP_DATA_DIR || __dirname;
+const venues = createVenueStore(DATA_DIR);
+
+// Event streams: how long clients wait before reconnecting, how often a quiet stream is pinged
+const EVENT_RETRY = 5000; // milliseconds
+const EVENT_KEEP_ALIVE = 25000; // milliseconds
+
+// API keys for editing the map (npm run issue-key)
+const keys = createKeyStore(path.join(DATA_DIR, KEYS_FILE));
 
 // Check if SSL certificates exist (for local development)
 const certPath = path.join(__dirname, 'localhost+3.pem');
@@ -29,91 +44,1315 @@ if (hasLocalCerts) {
   };
 }
 
-app.use(cors());
+// Clients read the ETag (document revision) for conditional saves
+app.use(cors({ exposedHeaders: ['ETag'] }));
 app.use(express.json());
 
 // Serve static files from the dist directory
 app.use(express.static(path.join(__dirname, 'dist')));
 
-// Get cube positions
-app.get('/api/positions', async (req, res) => {
+// Anyone may read the map and plan routes (navigators); changing it needs a surveyor or admin key
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+app.use('/api', authenticate(keys), (req, res, next) => {
+  if (READ_METHODS.has(req.method)) {
+    return next();
+  }
+  requireRole('surveyor')(req, res, next);
+});
+
+// The key a request was made with, e.g. for the editors to show who is signed in
+app.get('/api/me', (req, res) => {
+  const { name, role } = req.user;
+  res.json({ name, role, authenticated: Boolean(req.user.id) });
+});
+
+// Manage API keys (admins only). The secret of a new key is only in the POST response.
+app.get('/api/keys', requireRole('admin'), async (req, res) => {
   try {
-    const data = await fs.readFile(DATA_FILE, 'utf-8');
-    res.json(JSON.parse(data));
+    res.json({ keys: await keys.listKeys() });
   } catch (error) {
-    if (error.code === 'ENOENT') {
-      // File doesn't exist, return empty data
-      res.json({ cubes: [] });
-    } else {
-      res.status(500).json({ error: 'Failed to read positions' });
+    res.status(500).json({ error: 'Failed to read API keys' });
+  }
+});
+
+app.post('/api/keys', requireRole('admin'), async (req, res) => {
+  const { name, role } = req.body;
+  if (!ROLES.includes(role) || typeof name !== 'string' || !name.trim()) {
+    return res.status(400).json({ error: `A key needs a name and a role (${ROLES.join(', ')})` });
+  }
+
+  try {
+    const { key, record } = await keys.issueKey({ name, role });
+    res.status(201).json({ ...record, key });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to issue API key' });
+  }
+});
+
+app.delete('/api/keys/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (!(await keys.revokeKey(req.params.id))) {
+      return res.status(404).json({ error: `API key ${req.params.id} not found` });
+    }
+    res.json({ success: true, message: `API key ${req.params.id} revoked` });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+// Resolve the venue and floor a map request is scoped to
+async function resolveFloor(req, res, next) {
+  const { venueId, floorId } = req.params;
+  if (!isValidId(venueId) || !isValidId(floorId)) {
+    return res.status(400).json({ error: 'Invalid venue or floor ID' });
+  }
+
+  try {
+    const venue = await venues.getVenue(venueId);
+    if (!venue) {
+      return res.status(404).json({ error: `Venue ${venueId} not found` });
+    }
+    const floor = venue.floors.find(f => f.id === floorId);
+    if (!floor) {
+      return res.status(404).json({ error: `Floor ${floorId} not found in venue ${venueId}` });
+    }
+    req.floor = { venueId, floorId, venue, floor };
+    next();
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read venue' });
+  }
+}
+
+// The legacy /api/... endpoints address the default floor of the default venue
+function resolveDefaultFloor(req, res, next) {
+  req.params.venueId = DEFAULT_VENUE_ID;
+  req.params.floorId = DEFAULT_FLOOR_ID;
+  resolveFloor(req, res, next);
+}
+
+function isPoint(p) {
+  return p && ['x', 'y', 'z'].every(axis => Number.isFinite(p[axis]));
+}
+
+// Thrown inside a map transaction to abort it and answer with this status
+class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Answer 400 if a saved map document breaks its schema; returns true when it did
+function rejectInvalidDocument(res, documentName, data) {
+  const problems = validateDocument(documentName, data);
+  if (problems.length === 0) {
+    return false;
+  }
+  res.status(400).json({ error: `Invalid ${documentName}: ${problems[0]}`, problems });
+  return true;
+}
+
+// Abort a map transaction with a 400 if one of the documents it would save breaks its schema;
+// returns the documents otherwise
+function checkDocuments(changed) {
+  for (const [name, data] of Object.entries(changed)) {
+    const problems = validateDocument(name, data);
+    if (problems.length > 0) {
+      throw new RequestError(400, `Invalid ${name}: ${problems[0]}`);
     }
   }
+  return changed;
+}
+
+// Who made a change (the name of their API key) and why, recorded with every revision, and the
+// revision the change is based on (If-Match)
+function revisionInfo(req, message = '') {
+  return { author: req.user.name, message, baseRevision: req.baseRevision };
+}
+
+// A document's ETag is its revision number, e.g. "12" (0 before the first save with history)
+function revisionEtag(revision) {
+  return `"${revision}"`;
+}
+
+// Answer a save based on a stale revision with what changed since, so the client can merge
+async function sendConflict(req, res, conflict) {
+  const { venueId, floorId } = req.floor;
+  const { documentName, baseRevision, currentRevision } = conflict;
+  try {
+    const [base, current] = await Promise.all([
+      venues.readRevision(venueId, floorId, documentName, baseRevision),
+      venues.readRevision(venueId, floorId, documentName, currentRevision)
+    ]);
+    res.status(409).set('ETag', revisionEtag(currentRevision)).json({
+      error: conflict.message,
+      document: documentName,
+      baseRevision,
+      currentRevision,
+      // null when the base revision predates the revision history
+      changes: base && current ? diffDocuments(documentName, base.data, current.data) : null
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to compare revisions' });
+  }
+}
+
+// Map documents of a single floor
+const floorRouter = express.Router();
+
+// Optimistic concurrency: a save may send If-Match with the ETag of the revision it was based on
+// and is then rejected with a 409 if someone else saved in the meantime. Without If-Match (or
+// with *) the save always goes through.
+floorRouter.use((req, res, next) => {
+  const ifMatch = req.get('If-Match');
+  if (req.method !== 'POST' || !ifMatch || ifMatch.trim() === '*') {
+    return next();
+  }
+  const match = /^(?:W\/)?"?(\d+)"?$/.exec(ifMatch.trim());
+  if (!match) {
+    return res.status(400).json({ error: 'If-Match must be the ETag of a revision, e.g. "3"' });
+  }
+  req.baseRevision = parseInt(match[1], 10);
+  next();
+});
+
+// Get cube positions
+floorRouter.get('/positions', async (req, res) => {
+  try {
+    const { venueId, floorId } = req.floor;
+    const { data, revision } = await venues.readDocumentRevision(venueId, floorId, 'positions');
+    res.set('ETag', revisionEtag(revision)).json(data);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read positions' });
+  }
 });
 
 // Save cube positions
-app.post('/api/positions', async (req, res) => {
+floorRouter.post('/positions', async (req, res) => {
+  if (rejectInvalidDocument(res, 'positions', req.body)) {
+    return;
+  }
+
   try {
-    const data = req.body;
-    await fs.writeFile(DATA_FILE, JSON.stringify(data, null, 2), 'utf-8');
-    res.json({ success: true, message: 'Positions saved successfully' });
+    const { venueId, floorId } = req.floor;
+    const revision = await venues.writeDocument(venueId, floorId, 'positions', req.body, revisionInfo(req));
+    res.set('ETag', revisionEtag(revision)).json({ success: true, message: 'Positions saved successfully', revision });
   } catch (error) {
+    if (error instanceof RevisionConflictError) {
+      return sendConflict(req, res, error);
+    }
     res.status(500).json({ error: 'Failed to save positions' });
   }
 });
 
 // Get graph adjacency list
-app.get('/api/graph', async (req, res) => {
+floorRouter.get('/graph', async (req, res) => {
   try {
-    const data = await fs.readFile(GRAPH_FILE, 'utf-8');
-    res.json(JSON.parse(data));
+    const { venueId, floorId } = req.floor;
+    const { data, revision } = await venues.readDocumentRevision(venueId, floorId, 'graph');
+    res.set('ETag', revisionEtag(revision)).json(data);
   } catch (error) {
-    if (error.code === 'ENOENT') {
-      // File doesn't exist, return empty adjacency list
-      res.json({ adjacencyList: {} });
-    } else {
-      res.status(500).json({ error: 'Failed to read graph' });
-    }
+    res.status(500).json({ error: 'Failed to read graph' });
   }
 });
 
 // Save graph adjacency list
-app.post('/api/graph', async (req, res) => {
+floorRouter.post('/graph', async (req, res) => {
+  if (rejectInvalidDocument(res, 'graph', req.body)) {
+    return;
+  }
+
   try {
-    const data = req.body;
-    await fs.writeFile(GRAPH_FILE, JSON.stringify(data, null, 2), 'utf-8');
-    res.json({ success: true, message: 'Graph saved successfully' });
+    const { venueId, floorId } = req.floor;
+    const revision = await venues.writeDocument(venueId, floorId, 'graph', req.body, revisionInfo(req));
+    res.set('ETag', revisionEtag(revision)).json({ success: true, message: 'Graph saved successfully', revision });
   } catch (error) {
+    if (error instanceof RevisionConflictError) {
+      return sendConflict(req, res, error);
+    }
     res.status(500).json({ error: 'Failed to save graph' });
   }
 });
 
 // Get node-room mappings
-app.get('/api/rooms', async (req, res) => {
+floorRouter.get('/rooms', async (req, res) => {
   try {
-    const data = await fs.readFile(ROOMS_FILE, 'utf-8');
-    res.json(JSON.parse(data));
+    const { venueId, floorId } = req.floor;
+    const { data, revision } = await venues.readDocumentRevision(venueId, floorId, 'rooms');
+    res.set('ETag', revisionEtag(revision)).json(data);
   } catch (error) {
-    if (error.code === 'ENOENT') {
-      // File doesn't exist, return empty mapping
-      res.json({ roomMapping: {} });
-    } else {
-      res.status(500).json({ error: 'Failed to read room mappings' });
-    }
+    res.status(500).json({ error: 'Failed to read room mappings' });
   }
 });
 
 // Save node-room mappings
-app.post('/api/rooms', async (req, res) => {
+floorRouter.post('/rooms', async (req, res) => {
+  if (rejectInvalidDocument(res, 'rooms', req.body)) {
+    return;
+  }
+
   try {
-    const data = req.body;
-    await fs.writeFile(ROOMS_FILE, JSON.stringify(data, null, 2), 'utf-8');
-    res.json({ success: true, message: 'Room mappings saved successfully' });
+    const { venueId, floorId } = req.floor;
+    const revision = await venues.writeDocument(venueId, floorId, 'rooms', req.body, revisionInfo(req));
+    res.set('ETag', revisionEtag(revision)).json({ success: true, message: 'Room mappings saved successfully', revision });
   } catch (error) {
+    if (error instanceof RevisionConflictError) {
+      return sendConflict(req, res, error);
+    }
     res.status(500).json({ error: 'Failed to save room mappings' });
   }
 });
 
+// Get the points of interest of this floor (poi-directory.json)
+floorRouter.get('/pois', async (req, res) => {
+  try {
+    const { venueId, floorId } = req.floor;
+    const { data, revision } = await venues.readDocumentRevision(venueId, floorId, 'pois');
+    res.set('ETag', revisionEtag(revision)).json(data);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read points of interest' });
+  }
+});
+
+// Save the points of interest of this floor
+floorRouter.post('/pois', async (req, res) => {
+  if (rejectInvalidDocument(res, 'pois', req.body)) {
+    return;
+  }
+
+  try {
+    const { venueId, floorId } = req.floor;
+    const revision = await venues.writeDocument(venueId, floorId, 'pois', req.body, revisionInfo(req));
+    res.set('ETag', revisionEtag(revision)).json({ success: true, message: 'Points of interest saved successfully', revision });
+  } catch (error) {
+    if (error instanceof RevisionConflictError) {
+      return sendConflict(req, res, error);
+    }
+    res.status(500).json({ error: 'Failed to save points of interest' });
+  }
+});
+
+// Get the areas of this floor that are closed or hazardous (closures.json). Routes avoid them.
+floorRouter.get('/closures', async (req, res) => {
+  try {
+    const { venueId, floorId } = req.floor;
+    const { data, revision } = await venues.readDocumentRevision(venueId, floorId, 'closures');
+    res.set('ETag', revisionEtag(revision)).json(data);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read closures' });
+  }
+});
+
+// Save the closures of this floor
+floorRouter.post('/closures', async (req, res) => {
+  if (rejectInvalidDocument(res, 'closures', req.body)) {
+    return;
+  }
+
+  try {
+    const { venueId, floorId } = req.floor;
+    const revision = await venues.writeDocument(venueId, floorId, 'closures', req.body, revisionInfo(req));
+    res.set('ETag', revisionEtag(revision)).json({ success: true, message: 'Closures saved successfully', revision });
+  } catch (error) {
+    if (error instanceof RevisionConflictError) {
+      return sendConflict(req, res, error);
+    }
+    res.status(500).json({ error: 'Failed to save closures' });
+  }
+});
+
+// Close a waypoint ({ node }) or the edge between two ({ from, to }), with an optional kind
+// ('closed' or 'hazard') and reason. Replaces an existing closure with the same ID.
+floorRouter.put('/closures/:id', async (req, res) => {
+  const { id } = req.params;
+  const { node, from, to, kind = 'closed', reason } = req.body;
+  const closure = { id };
+  for (const [key, value] of Object.entries({ node, from, to })) {
+    if (value !== undefined) closure[key] = value;
+  }
+  closure.kind = kind;
+  if (reason !== undefined) {
+    closure.reason = reason;
+  }
+  const problems = validateDocument('closures', { closures: [closure] });
+  if (!isValidId(id) || problems.length > 0) {
+    return res.status(400).json({ error: isValidId(id) ? problems[0] : 'Invalid closure ID' });
+  }
+
+  try {
+    const { venueId, floorId } = req.floor;
+    const revision = await venues.updateDocument(venueId, floorId, 'closures', data => {
+      const closures = data.closures || [];
+      const existing = closures.find(c => c.id === id);
+      closure.since = existing ? existing.since : new Date().toISOString();
+      return { ...data, closures: [...closures.filter(c => c.id !== id), closure] };
+    }, revisionInfo(req, `Close ${node || `${from} - ${to}`}`));
+    res.set('ETag', revisionEtag(revision)).json({ success: true, message: `Closure ${id} saved`, revision });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to save closure' });
+  }
+});
+
+// Reopen a closed area
+floorRouter.delete('/closures/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { venueId, floorId } = req.floor;
+    const revision = await venues.updateDocument(venueId, floorId, 'closures', data => {
+      const closures = data.closures || [];
+      if (!closures.some(c => c.id === id)) {
+        throw new RequestError(404, `Closure ${id} not found`);
+      }
+      return { ...data, closures: closures.filter(c => c.id !== id) };
+    }, revisionInfo(req, `Reopen ${id}`));
+    res.set('ETag', revisionEtag(revision)).json({ success: true, message: `Closure ${id} removed`, revision });
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to remove closure' });
+  }
+});
+
+// Server-sent events for clients in a session: a "closures" event whenever the closures of any
+// floor of the venue change, so routes can be recomputed around them
+floorRouter.get('/events', (req, res) => {
+  const { venueId } = req.floor;
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+  res.write(`retry: ${EVENT_RETRY}\n\n`);
+
+  const stop = venues.onChange(change => {
+    if (change.venueId !== venueId || change.documentName !== 'closures') return;
+    res.write(`event: closures\ndata: ${JSON.stringify({ floorId: change.floorId, revision: change.revision })}\n\n`);
+  });
+  // Comments keep proxies from closing a quiet connection
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), EVENT_KEEP_ALIVE);
+  req.on('close', () => {
+    stop();
+    clearInterval(keepAlive);
+  });
+});
+
+// Get calibration markers
+floorRouter.get('/markers', async (req, res) => {
+  try {
+    const { venueId, floorId } = req.floor;
+    const { data, revision } = await venues.readDocumentRevision(venueId, floorId, 'markers');
+    res.set('ETag', revisionEtag(revision)).json(data);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read markers' });
+  }
+});
+
+// Save calibration markers
+floorRouter.post('/markers', async (req, res) => {
+  if (rejectInvalidDocument(res, 'markers', req.body)) {
+    return;
+  }
+
+  try {
+    const { venueId, floorId } = req.floor;
+    const revision = await venues.writeDocument(venueId, floorId, 'markers', req.body, revisionInfo(req));
+    res.set('ETag', revisionEtag(revision)).json({ success: true, message: 'Markers saved successfully', revision });
+  } catch (error) {
+    if (error instanceof RevisionConflictError) {
+      return sendConflict(req, res, error);
+    }
+    res.status(500).json({ error: 'Failed to save markers' });
+  }
+});
+
+// Get surveyed anchor points
+floorRouter.get('/anchors', async (req, res) => {
+  try {
+    const { venueId, floorId } = req.floor;
+    const { data, revision } = await venues.readDocumentRevision(venueId, floorId, 'anchors');
+    res.set('ETag', revisionEtag(revision)).json(data);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read anchors' });
+  }
+});
+
+// Save surveyed anchor points
+floorRouter.post('/anchors', async (req, res) => {
+  if (rejectInvalidDocument(res, 'anchors', req.body)) {
+    return;
+  }
+
+  try {
+    const { venueId, floorId } = req.floor;
+    const revision = await venues.writeDocument(venueId, floorId, 'anchors', req.body, revisionInfo(req));
+    res.set('ETag', revisionEtag(revision)).json({ success: true, message: 'Anchors saved successfully', revision });
+  } catch (error) {
+    if (error instanceof RevisionConflictError) {
+      return sendConflict(req, res, error);
+    }
+    res.status(500).json({ error: 'Failed to save anchors' });
+  }
+});
+
+// A single waypoint: its position, edges and room, e.g. /api/nodes/cube_3
+floorRouter.get('/nodes/:id', async (req, res) => {
+  try {
+    const { venueId, floorId } = req.floor;
+    const { id } = req.params;
+    const [positions, graph, rooms] = await Promise.all(['positions', 'graph', 'rooms']
+      .map(name => venues.readDocument(venueId, floorId, name)));
+    const cube = (positions.cubes || []).find(c => c.id === id);
+    const edges = (graph.adjacencyList || {})[id];
+    const room = (rooms.roomMapping || {})[id];
+    if (!cube && !edges && !room) {
+      return res.status(404).json({ error: `Node ${id} not found` });
+    }
+    res.json({
+      id,
+      position: cube ? cube.worldPosition : null,
+      heightAboveFloor: cube && cube.heightAboveFloor !== undefined ? cube.heightAboveFloor : null,
+      edges: edges || [],
+      room: room || null
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read node' });
+  }
+});
+
+function nodeDistance(positions, a, b) {
+  const from = positions.get(a);
+  const to = positions.get(b);
+  return from && to ? Math.hypot(to.x - from.x, to.y - from.y, to.z - from.z) : undefined;
+}
+
+// Create or update a waypoint: { position: { x, y, z }, rotation?, heightAboveFloor?, room? }.
+// Moving a waypoint updates the distances of its edges; room: null removes its room mapping and
+// heightAboveFloor: null forgets how high above the floor it is.
+floorRouter.put('/nodes/:id', async (req, res) => {
+  const { id } = req.params;
+  const { position, rotation, heightAboveFloor, room } = req.body;
+  if (!isValidId(id)) {
+    return res.status(400).json({ error: 'Invalid node ID' });
+  }
+  if (position !== undefined && !isPoint(position)) {
+    return res.status(400).json({ error: 'position needs numeric x, y and z' });
+  }
+  if (heightAboveFloor !== undefined && heightAboveFloor !== null && !(Number.isFinite(heightAboveFloor) && heightAboveFloor >= 0)) {
+    return res.status(400).json({ error: 'heightAboveFloor must be a non-negative number or null' });
+  }
+  if (room !== undefined && room !== null && (typeof room !== 'string' || !room.trim())) {
+    return res.status(400).json({ error: 'room must be a name or null' });
+  }
+
+  try {
+    const { venueId, floorId } = req.floor;
+    const revisions = await venues.transaction(venueId, floorId, ['positions', 'graph', 'rooms'], ({ positions, graph, rooms }) => {
+      const changed = {};
+      const cubes = positions.cubes || [];
+      let cube = cubes.find(c => c.id === id);
+      if (!cube && !position) {
+        throw new RequestError(400, `Node ${id} doesn't exist yet: a position is needed to create it`);
+      }
+
+      if (position || rotation || heightAboveFloor !== undefined) {
+        if (!cube) {
+          cube = { id, rotation: { x: 0, y: 0, z: 0 } };
+          cubes.push(cube);
+        }
+        if (position) {
+          const point = { x: position.x, y: position.y, z: position.z };
+          cube.worldPosition = point;
+          cube.offsetFromQR = { ...point };
+        }
+        if (rotation) {
+          cube.rotation = rotation;
+        }
+        if (heightAboveFloor === null) {
+          delete cube.heightAboveFloor;
+        } else if (heightAboveFloor !== undefined) {
+          cube.heightAboveFloor = heightAboveFloor;
+        }
+        changed.positions = { ...positions, cubeCount: cubes.length, cubes, timestamp: new Date().toISOString() };
+      }
+
+      // Keep the distances of the node's edges on this floor in step with its position
+      const adjacencyList = graph.adjacencyList || {};
+      if (position) {
+        const located = new Map(cubes.map(c => [c.id, c.worldPosition]));
+        let moved = false;
+        for (const [from, edges] of Object.entries(adjacencyList)) {
+          for (const edge of edges) {
+            const to = edge.node || edge;
+            if (edge.floor || typeof edge !== 'object' || (from !== id && to !== id)) continue;
+            const distance = nodeDistance(located, from, to);
+            if (distance !== undefined && distance !== edge.distance) {
+              edge.distance = distance;
+              moved = true;
+            }
+          }
+        }
+        if (moved) {
+          changed.graph = { ...graph, adjacencyList };
+        }
+      }
+
+      if (room !== undefined) {
+        const roomMapping = rooms.roomMapping || {};
+        if (room === null) {
+          delete roomMapping[id];
+        } else {
+          roomMapping[id] = room.trim();
+        }
+        changed.rooms = { ...rooms, roomMapping };
+      }
+      return checkDocuments(changed);
+    }, revisionInfo(req, `Update node ${id}`));
+
+    res.json({ success: true, message: `Node ${id} saved`, revisions });
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to save node' });
+  }
+});
+
+// Delete a waypoint together with its edges, room mapping and POI entrances, in one transaction.
+// Connectors from the node to other floors are removed on those floors within it too.
+floorRouter.delete('/nodes/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { venueId, floorId, venue } = req.floor;
+    const documents = [
+      ...['positions', 'graph', 'rooms', 'pois'].map(name => [floorId, name]),
+      ...venue.floors.filter(floor => floor.id !== floorId).map(floor => [floor.id, 'graph'])
+    ];
+    const revisions = await venues.venueTransaction(venueId, documents, floors => {
+      const { positions, graph, rooms, pois } = floors[floorId];
+      const changed = {};
+      const cubes = positions.cubes || [];
+      const adjacencyList = graph.adjacencyList || {};
+      const roomMapping = rooms.roomMapping || {};
+      const entranceOf = (pois.pois || []).filter(poi => (poi.entrances || []).includes(id));
+      if (!cubes.some(c => c.id === id) && !adjacencyList[id] && !roomMapping[id] && entranceOf.length === 0) {
+        throw new RequestError(404, `Node ${id} not found`);
+      }
+
+      if (cubes.some(c => c.id === id)) {
+        const remaining = cubes.filter(c => c.id !== id);
+        changed.positions = { ...positions, cubeCount: remaining.length, cubes: remaining, timestamp: new Date().toISOString() };
+      }
+
+      const connectors = (adjacencyList[id] || []).filter(edge => edge.floor);
+      let graphChanged = Boolean(adjacencyList[id]);
+      delete adjacencyList[id];
+      for (const node of Object.keys(adjacencyList)) {
+        // Edges with a floor point at a node on another floor that happens to share the ID
+        const edges = adjacencyList[node].filter(edge => (edge.node || edge) !== id || edge.floor);
+        if (edges.length === adjacencyList[node].length) continue;
+        graphChanged = true;
+        if (edges.length > 0) {
+          adjacencyList[node] = edges;
+        } else {
+          delete adjacencyList[node];
+        }
+      }
+      if (graphChanged) {
+        changed.graph = { ...graph, adjacencyList };
+      }
+
+      if (roomMapping[id]) {
+        delete roomMapping[id];
+        changed.rooms = { ...rooms, roomMapping };
+      }
+
+      // A POI left without entrances stays in the directory; /validate reports it
+      if (entranceOf.length > 0) {
+        for (const poi of entranceOf) {
+          poi.entrances = poi.entrances.filter(nodeId => nodeId !== id);
+        }
+        changed.pois = pois;
+      }
+
+      const changedFloors = { [floorId]: checkDocuments(changed) };
+      for (const edge of connectors) {
+        // A connector to a floor that was removed from the venue has nothing to mirror
+        const other = floors[edge.floor];
+        if (!other) continue;
+        const otherList = other.graph.adjacencyList || {};
+        if (replaceConnectorEdge(otherList, edge.node, { floor: floorId, node: id }, null)) {
+          changedFloors[edge.floor] = checkDocuments({ graph: { ...other.graph, adjacencyList: otherList } });
+        }
+      }
+      return changedFloors;
+    }, revisionInfo(req, `Delete node ${id}`));
+
+    res.json({ success: true, message: `Node ${id} deleted`, revisions: revisions[floorId] || {} });
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to delete node' });
+  }
+});
+
+// What's wrong with the body of an edge request, or null if nothing
+function edgeRequestError({ from, to, type, distance, width, slope }) {
+  if (!isValidId(from) || !isValidId(to)) {
+    return 'Edge needs from and to node IDs on this floor (use /connectors between floors)';
+  }
+  if (from === to) {
+    return 'Edge must link two different nodes';
+  }
+  if (type !== undefined && !EDGE_TYPES[type]) {
+    return `Unknown edge type: ${type}`;
+  }
+  for (const [name, value] of Object.entries({ distance, width, slope })) {
+    if (value !== undefined && !(Number.isFinite(value) && value >= 0)) {
+      return `${name} must be a non-negative number`;
+    }
+  }
+  return null;
+}
+
+// Add or replace the edge between two nodes of this floor:
+// { from, to, type?, distance?, width?, slope?, bidirectional? }. The distance defaults to the
+// straight line between the waypoints; edges go both ways unless bidirectional is false.
+floorRouter.post('/edges', async (req, res) => {
+  const problem = edgeRequestError(req.body);
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+  const { from, to, type, width, slope, bidirectional = true } = req.body;
+
+  try {
+    const { venueId, floorId } = req.floor;
+    let edge;
+    const revisions = await venues.transaction(venueId, floorId, ['positions', 'graph'], ({ positions, graph }) => {
+      const located = new Map((positions.cubes || []).map(c => [c.id, c.worldPosition]));
+      for (const node of [from, to]) {
+        if (!located.has(node)) {
+          throw new RequestError(404, `Node ${node} not found`);
+        }
+      }
+
+      // Plain walkways keep the original { node, distance } format
+      const attributes = { distance: req.body.distance ?? nodeDistance(located, from, to) };
+      if (type && type !== 'walk') attributes.type = type;
+      if (width !== undefined) attributes.width = width;
+      if (slope !== undefined) attributes.slope = slope;
+      edge = { node: to, ...attributes };
+
+      const adjacencyList = graph.adjacencyList || {};
+      const link = (a, b) => {
+        const edges = (adjacencyList[a] || []).filter(e => (e.node || e) !== b || e.floor);
+        adjacencyList[a] = [...edges, { node: b, ...attributes }];
+      };
+      link(from, to);
+      if (bidirectional) {
+        link(to, from);
+      }
+      return checkDocuments({ graph: { ...graph, adjacencyList } });
+    }, revisionInfo(req, `Add edge ${from} → ${to}`));
+
+    res.json({ success: true, message: `Edge ${from} ${bidirectional ? '↔' : '→'} ${to} saved`, edge, revisions });
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to save edge' });
+  }
+});
+
+// Remove the edge between two nodes of this floor: { from, to, bidirectional? }
+floorRouter.delete('/edges', async (req, res) => {
+  const { from, to, bidirectional = true } = req.body;
+  if (!isValidId(from) || !isValidId(to)) {
+    return res.status(400).json({ error: 'Edge needs from and to node IDs on this floor' });
+  }
+
+  try {
+    const { venueId, floorId } = req.floor;
+    const revisions = await venues.transaction(venueId, floorId, ['graph'], ({ graph }) => {
+      const adjacencyList = graph.adjacencyList || {};
+      let removed = 0;
+      const unlink = (a, b) => {
+        if (!adjacencyList[a]) return;
+        const edges = adjacencyList[a].filter(e => (e.node || e) !== b || e.floor);
+        removed += adjacencyList[a].length - edges.length;
+        if (edges.length > 0) {
+          adjacencyList[a] = edges;
+        } else {
+          delete adjacencyList[a];
+        }
+      };
+      unlink(from, to);
+      if (bidirectional) {
+        unlink(to, from);
+      }
+      if (removed === 0) {
+        throw new RequestError(404, `No edge between ${from} and ${to}`);
+      }
+      return checkDocuments({ graph: { ...graph, adjacencyList } });
+    }, revisionInfo(req, `Remove edge ${from} → ${to}`));
+
+    res.json({ success: true, message: `Edge ${from} ${bidirectional ? '↔' : '→'} ${to} removed`, revisions });
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to remove edge' });
+  }
+});
+
+// Connectors to other floors, keyed by node, floor and the node on that floor
+function floorConnectors(adjacencyList) {
+  const connectors = new Map();
+  for (const [from, edges] of Object.entries(adjacencyList)) {
+    for (const edge of edges) {
+      if (edge.floor) connectors.set(`${from}|${edge.floor}|${edge.node}`, { from, edge });
+    }
+  }
+  return connectors;
+}
+
+// Apply a batch of map commands (src/map-commands.js), e.g. the unsaved edits of the surveying app
+// or the waypoint editor: { commands: [...], referenceAnchor? }. All of them are applied to the
+// latest positions, graph, rooms and POIs in one transaction, so someone else's edits in between
+// are kept, and if one of them can't be applied nothing is saved. Connectors a deleted or restored
+// node takes with it are mirrored on the other floors in the same transaction. referenceAnchor is
+// the anchor the commands' positions are relative to, for the first waypoints of a floor.
+floorRouter.post('/edits', async (req, res) => {
+  const { commands, referenceAnchor } = req.body;
+  if (!Array.isArray(commands) || commands.length === 0 || !commands.every(c => c && typeof c.type === 'string')) {
+    return res.status(400).json({ error: 'commands must be a non-empty list of map commands' });
+  }
+
+  try {
+    const { venueId, floorId, venue } = req.floor;
+    const label = commands.length === 1 ? describeCommand(commands[0]) : `${commands.length} edits`;
+    // The commands are applied to whatever is current, so If-Match doesn't apply
+    const { baseRevision, ...info } = revisionInfo(req, label);
+    const documents = [
+      ...['positions', 'graph', 'rooms', 'pois'].map(name => [floorId, name]),
+      ...venue.floors.filter(floor => floor.id !== floorId).map(floor => [floor.id, 'graph'])
+    ];
+    const revisions = await venues.venueTransaction(venueId, documents, floors => {
+      const { positions, graph, rooms, pois } = floors[floorId];
+      const anchored = Boolean(referenceAnchor) && !positions.referenceAnchor;
+      if (referenceAnchor && !anchored && JSON.stringify(positions.referenceAnchor) !== JSON.stringify(referenceAnchor)) {
+        throw new RequestError(409, 'Waypoints were stored from another calibration in the meantime; reload them first');
+      }
+
+      const map = floorMap(floors[floorId]);
+      const before = Object.fromEntries(Object.entries(map).map(([key, value]) => [key, JSON.stringify(value)]));
+      const connectorsBefore = floorConnectors(map.adjacencyList);
+      try {
+        applyCommand(map, { type: 'batch', commands });
+      } catch (error) {
+        if (error instanceof MapCommandError) {
+          throw new RequestError(error.status, error.message);
+        }
+        throw error;
+      }
+      const connectorsAfter = floorConnectors(map.adjacencyList);
+
+      const updated = {
+        positions: ['cubes', { ...positions, ...(anchored && { referenceAnchor }), cubeCount: map.cubes.length, cubes: map.cubes, timestamp: new Date().toISOString() }],
+        graph: ['adjacencyList', { ...graph, adjacencyList: map.adjacencyList }],
+        rooms: ['roomMapping', { ...rooms, roomMapping: map.roomMapping }],
+        pois: ['pois', { ...pois, pois: map.pois }]
+      };
+      const changed = {};
+      for (const [name, [key, data]] of Object.entries(updated)) {
+        if (JSON.stringify(map[key]) === before[key] && !(name === 'positions' && anchored)) continue;
+        changed[name] = data;
+      }
+      const changedFloors = { [floorId]: checkDocuments(changed) };
+
+      // Deleting or restoring a node takes its connectors with it; mirror that on the other floors
+      const mirror = ({ from, edge }, mirrored) => {
+        // A connector to a floor that was removed from the venue has nothing to mirror
+        const other = floors[edge.floor];
+        if (!other) return;
+        const adjacencyList = other.graph.adjacencyList || {};
+        if (replaceConnectorEdge(adjacencyList, edge.node, { floor: floorId, node: from }, mirrored)) {
+          other.graph = { ...other.graph, adjacencyList };
+          changedFloors[edge.floor] = checkDocuments({ graph: other.graph });
+        }
+      };
+      for (const [key, connector] of connectorsBefore) {
+        if (!connectorsAfter.has(key)) mirror(connector, null);
+      }
+      for (const [key, connector] of connectorsAfter) {
+        if (!connectorsBefore.has(key)) mirror(connector, { ...connector.edge, node: connector.from, floor: floorId });
+      }
+      return changedFloors;
+    }, info);
+
+    res.json({ success: true, message: `${label} saved`, revisions: revisions[floorId] || {} });
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to save edits' });
+  }
+});
+
+// Revision history of a map document, e.g. /api/graph/revisions
+floorRouter.get('/:document/revisions', async (req, res) => {
+  const { document } = req.params;
+  if (!DOCUMENTS[document]) {
+    return res.status(404).json({ error: `Unknown map document ${document}` });
+  }
+
+  try {
+    const { venueId, floorId } = req.floor;
+    res.json({ document, revisions: await venues.listRevisions(venueId, floorId, document) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read revisions' });
+  }
+});
+
+// Changes between two revisions, e.g. /api/positions/diff?from=3&to=5 (to defaults to the latest)
+floorRouter.get('/:document/diff', async (req, res) => {
+  const { document } = req.params;
+  if (!DOCUMENTS[document]) {
+    return res.status(404).json({ error: `Unknown map document ${document}` });
+  }
+
+  try {
+    const { venueId, floorId } = req.floor;
+    const fromRevision = parseInt(req.query.from, 10);
+    const toRevision = req.query.to === undefined
+      ? await venues.latestRevision(venueId, floorId, document)
+      : parseInt(req.query.to, 10);
+    if (!Number.isInteger(fromRevision) || !Number.isInteger(toRevision)) {
+      return res.status(400).json({ error: 'from and to must be revision numbers' });
+    }
+
+    const [before, after] = await Promise.all([
+      venues.readRevision(venueId, floorId, document, fromRevision),
+      venues.readRevision(venueId, floorId, document, toRevision)
+    ]);
+    if (!before || !after) {
+      return res.status(404).json({ error: `Revision ${before ? toRevision : fromRevision} not found` });
+    }
+
+    res.json({
+      document,
+      from: fromRevision,
+      to: toRevision,
+      changes: diffDocuments(document, before.data, after.data)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to compare revisions' });
+  }
+});
+
+// A single revision with its data, e.g. /api/graph/revisions/4
+floorRouter.get('/:document/revisions/:revision', async (req, res) => {
+  const { document } = req.params;
+  if (!DOCUMENTS[document]) {
+    return res.status(404).json({ error: `Unknown map document ${document}` });
+  }
+
+  try {
+    const { venueId, floorId } = req.floor;
+    const revision = await venues.readRevision(venueId, floorId, document, parseInt(req.params.revision, 10));
+    if (!revision) {
+      return res.status(404).json({ error: `Revision ${req.params.revision} not found` });
+    }
+    res.json(revision);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read revision' });
+  }
+});
+
+// Roll back to an earlier revision. History is kept: the old data is saved as a new revision.
+floorRouter.post('/:document/rollback', async (req, res) => {
+  const { document } = req.params;
+  if (!DOCUMENTS[document]) {
+    return res.status(404).json({ error: `Unknown map document ${document}` });
+  }
+
+  try {
+    const { venueId, floorId } = req.floor;
+    const target = await venues.readRevision(venueId, floorId, document, parseInt(req.body.revision, 10));
+    if (!target) {
+      return res.status(404).json({ error: `Revision ${req.body.revision} not found` });
+    }
+
+    const revision = await venues.writeDocument(venueId, floorId, document, target.data,
+      revisionInfo(req, `Rollback to revision ${target.revision}`));
+    res.set('ETag', revisionEtag(revision)).json({ success: true, message: `Rolled back to revision ${target.revision}`, revision });
+  } catch (error) {
+    if (error instanceof RevisionConflictError) {
+      return sendConflict(req, res, error);
+    }
+    res.status(500).json({ error: 'Failed to roll back' });
+  }
+});
+
+// Get the graphs and room mappings of all floors of the venue, merged with node IDs relative to this floor
+floorRouter.get('/venue-graph', async (req, res) => {
+  try {
+    const { venue, floorId } = req.floor;
+    const floors = await loadVenueFloors(venue);
+    res.json({
+      floorId,
+      floors: venue.floors,
+      ...buildVenueGraph(floors, floorId)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read venue graph' });
+  }
+});
+
+// Consistency report of this floor's map: dangling and one-way edges, wrong distances, waypoints
+// and rooms that can't be reached, duplicate IDs (see validateFloorMap)
+floorRouter.get('/validate', async (req, res) => {
+  try {
+    const { venue, floorId } = req.floor;
+    res.json({ floorId, ...validateFloorMap(await loadVenueFloors(venue), floorId) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to validate map' });
+  }
+});
+
+// Search the points of interest of all floors of the venue, e.g. /api/directory?q=toilet or
+// /api/directory?category=restroom&open=true&limit=10. q is matched fuzzily against names, room
+// numbers and aliases (best matches first); without q all POIs are listed by name. POI and
+// entrance IDs on other floors are written as <floorId>:<id>.
+floorRouter.get('/directory', async (req, res) => {
+  const { q, category } = req.query;
+  const limit = req.query.limit === undefined ? Infinity : Number(req.query.limit);
+  if (category && !POI_CATEGORIES[category]) {
+    return res.status(400).json({ error: `Unknown category: ${category}` });
+  }
+  if (!(Number.isInteger(limit) && limit > 0) && limit !== Infinity) {
+    return res.status(400).json({ error: 'limit must be a positive whole number' });
+  }
+
+  try {
+    const { venue, floorId } = req.floor;
+    const now = new Date();
+    const pois = searchPois(buildDirectory(await loadVenueFloors(venue), floorId), q, { category })
+      .map(poi => ({ ...poi, open: isOpen(poi, now) }))
+      .filter(poi => req.query.open !== 'true' || poi.open)
+      .slice(0, limit);
+    res.json({ floorId, categories: POI_CATEGORIES, pois });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to search directory' });
+  }
+});
+
+// The nodes a route may end at. destinations are node IDs, POI IDs or POI names, room numbers or
+// aliases; category adds every POI of that category (only those open now when openOnly is set).
+// Returns { targets, pois } or { error } for a destination that doesn't exist.
+function routeTargets(graph, directory, { destinations, category, openOnly }) {
+  const targets = new Set();
+  const pois = [];
+  for (const destination of destinations) {
+    if (hasNode(graph.adjacencyList, destination)) {
+      targets.add(destination);
+      continue;
+    }
+    const poi = findPoi(directory, destination);
+    const node = poi ? null : resolveDestination(graph, destination);
+    if (!poi && !node) {
+      return { error: `Unknown destination: ${destination}` };
+    }
+    if (poi) {
+      pois.push(poi);
+    } else {
+      targets.add(node);
+    }
+  }
+
+  if (category) {
+    const now = new Date();
+    pois.push(...directory.filter(poi => poi.category === category && (!openOnly || isOpen(poi, now))));
+  }
+  for (const poi of pois) {
+    poi.entrances.forEach(nodeId => targets.add(nodeId));
+  }
+  return { targets: [...targets], pois };
+}
+
+// Compute a route, e.g. /api/route?from=cube_3&to=A221&profile=stepFree
+// "to" is a node ID, a POI ID or a POI's name, room number or alias; routes to a POI lead to its
+// cheapest entrance. Nodes and POIs on other floors are written as <floorId>:<id>.
+// With several "to"s, or category=restroom (&open=true for open ones only) instead, the route
+// leads to whichever of them is cheapest to reach.
+floorRouter.get('/route', async (req, res) => {
+  const { from, category } = req.query;
+  const destinations = [].concat(req.query.to || []);
+  const profile = req.query.profile || DEFAULT_ROUTING_PROFILE;
+  if (!from || (destinations.length === 0 && !category)) {
+    return res.status(400).json({ error: 'Route needs from and to (or a category)' });
+  }
+  if (category && !POI_CATEGORIES[category]) {
+    return res.status(400).json({ error: `Unknown category: ${category}` });
+  }
+  if (!ROUTING_PROFILES[profile]) {
+    return res.status(400).json({ error: `Unknown routing profile: ${profile}` });
+  }
+  const to = [...destinations, ...(category ? [`any ${POI_CATEGORIES[category].label.toLowerCase()}`] : [])].join(', ');
+
+  try {
+    const { venue, floorId } = req.floor;
+    const floors = await loadVenueFloors(venue);
+    const graph = withoutClosures(buildVenueGraph(floors, floorId), floors, floorId);
+    const floorNames = Object.fromEntries(venue.floors.map(floor => [floor.id, floor.name]));
+
+    if (!hasNode(graph.adjacencyList, from)) {
+      return res.status(404).json({ error: `Unknown start node: ${from}` });
+    }
+    const { error, targets, pois } = routeTargets(graph, buildDirectory(floors, floorId),
+      { destinations, category, openOnly: req.query.open === 'true' });
+    if (error) {
+      return res.status(404).json({ error });
+    }
+    if (targets.length === 0) {
+      return res.status(404).json({ error: `No entrances to ${to}` });
+    }
+
+    // The route ends at the target that was cheapest to reach; say which POI it belongs to
+    const describe = (route, routeProfile) => {
+      const target = route.path[route.path.length - 1];
+      const poi = pois.find(p => p.entrances.includes(target)) || null;
+      const room = poi ? poi.name : graph.roomMapping[target] || null;
+      return { from, to: target, room, poi, profile: routeProfile, ...route };
+    };
+
+    const route = planRoute(graph, from, targets, { profile, floorNames });
+    if (route) {
+      return res.json(describe(route, profile));
+    }
+
+    // No route with this profile: explain which barriers block the standard route and offer it
+    // instead, except in an emergency
+    const offerFallback = profile !== DEFAULT_ROUTING_PROFILE && !ROUTING_PROFILES[profile].emergency;
+    const fallback = offerFallback ? planRoute(graph, from, targets, { floorNames }) : null;
+    if (fallback) {
+      return res.status(404).json({
+        error: `No ${ROUTING_PROFILES[profile].label.toLowerCase()} to ${to}`,
+        barriers: routeBarriers(graph.adjacencyList, fallback.path, profile),
+        fallback: describe(fallback, DEFAULT_ROUTING_PROFILE)
+      });
+    }
+    res.status(404).json({ error: `No route from ${from} to ${to}` });
+  } catch (error) {
+    if (error instanceof GraphValidationError) {
+      return res.status(500).json({ error: error.message, problems: error.problems });
+    }
+    res.status(500).json({ error: 'Failed to compute route' });
+  }
+});
+
+// Read the graph, room mapping, points of interest, closures and waypoint positions of every floor
+// of a venue
+async function loadVenueFloors(venue) {
+  return Promise.all(venue.floors.map(async floor => {
+    const graph = await venues.readDocument(venue.id, floor.id, 'graph');
+    const rooms = await venues.readDocument(venue.id, floor.id, 'rooms');
+    const pois = await venues.readDocument(venue.id, floor.id, 'pois');
+    const closures = await venues.readDocument(venue.id, floor.id, 'closures');
+    const positions = await venues.readDocument(venue.id, floor.id, 'positions');
+    return {
+      ...floor,
+      adjacencyList: graph.adjacencyList || {},
+      roomMapping: rooms.roomMapping || {},
+      pois: pois.pois || [],
+      closures: closures.closures || [],
+      cubes: positions.cubes || []
+    };
+  }));
+}
+
+// Validate a { type, from: { floor, node }, to: { floor, node } } connector between two floors
+async function resolveConnector(venueId, body) {
+  const { type, from, to } = body;
+  if (!isValidId(venueId)) {
+    return { error: 'Invalid venue ID' };
+  }
+  if (!EDGE_TYPES[type]) {
+    return { error: `Unknown connector type: ${type}` };
+  }
+  if (!from || !to || !from.node || !to.node || !from.floor || !to.floor) {
+    return { error: 'Connector needs from and to, each with a floor and a node' };
+  }
+  if (from.floor === to.floor) {
+    return { error: 'Connector must link two different floors' };
+  }
+
+  const venue = await venues.getVenue(venueId);
+  if (!venue) {
+    return { status: 404, error: `Venue ${venueId} not found` };
+  }
+  for (const floorId of [from.floor, to.floor]) {
+    if (!venue.floors.some(floor => floor.id === floorId)) {
+      return { status: 404, error: `Floor ${floorId} not found in venue ${venueId}` };
+    }
+  }
+  return { connector: { type, from, to, distance: body.distance } };
+}
+
+// Replace (or with edge = null, remove) the one-way edge from a node to a node on another floor
+// in an adjacency list; returns whether the list changed
+function replaceConnectorEdge(adjacencyList, fromNode, to, edge) {
+  const previous = adjacencyList[fromNode] || [];
+  const edges = previous.filter(e => !(e.node === to.node && e.floor === to.floor));
+  if (edge) {
+    edges.push(edge);
+  }
+
+  if (edges.length > 0) {
+    adjacencyList[fromNode] = edges;
+  } else {
+    delete adjacencyList[fromNode];
+  }
+  return Boolean(edge) || edges.length !== previous.length;
+}
+
+// Replace (or with null, remove) both directions of a connector in one transaction over the two
+// floors' graphs: forward is the edge from -> to, backward the one back
+async function setConnector(venueId, from, to, forward, backward, info) {
+  await venues.venueTransaction(venueId, [[from.floor, 'graph'], [to.floor, 'graph']], floors => {
+    const changed = {};
+    for (const [a, b, edge] of [[from, to, forward], [to, from, backward]]) {
+      const { graph } = floors[a.floor];
+      const adjacencyList = graph.adjacencyList || {};
+      replaceConnectorEdge(adjacencyList, a.node, b, edge);
+      changed[a.floor] = checkDocuments({ graph: { ...graph, adjacencyList } });
+    }
+    return changed;
+  }, info);
+}
+
+// Add a stairs/elevator/ramp/door connector between two floors (stored on both floors' graphs)
+app.post('/api/venues/:venueId/connectors', async (req, res) => {
+  try {
+    const { venueId } = req.params;
+    const { status, error, connector } = await resolveConnector(venueId, req.body);
+    if (error) {
+      return res.status(status || 400).json({ error });
+    }
+
+    const { type, from, to, distance } = connector;
+    const attributes = { type };
+    if (Number.isFinite(distance)) {
+      attributes.distance = distance;
+    }
+    const info = revisionInfo(req, `Connector ${from.floor}:${from.node} ↔ ${to.floor}:${to.node}`);
+    await setConnector(venueId, from, to,
+      { node: to.node, floor: to.floor, ...attributes },
+      { node: from.node, floor: from.floor, ...attributes }, info);
+    res.json({ success: true, message: 'Connector saved successfully' });
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to save connector' });
+  }
+});
+
+// Remove a connector between two floors
+app.delete('/api/venues/:venueId/connectors', async (req, res) => {
+  try {
+    const { venueId } = req.params;
+    const { status, error, connector } = await resolveConnector(venueId, req.body);
+    if (error) {
+      return res.status(status || 400).json({ error });
+    }
+
+    const { from, to } = connector;
+    const info = revisionInfo(req, `Removed connector ${from.floor}:${from.node} ↔ ${to.floor}:${to.node}`);
+    await setConnector(venueId, from, to, null, null, info);
+    res.json({ success: true, message: 'Connector removed successfully' });
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to remove connector' });
+  }
+});
+
+// List venues and their floors
+app.get('/api/venues', async (req, res) => {
+  try {
+    res.json({ venues: await venues.listVenues() });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read venues' });
+  }
+});
+
+// Get a single venue
+app.get('/api/venues/:venueId', async (req, res) => {
+  const { venueId } = req.params;
+  if (!isValidId(venueId)) {
+    return res.status(400).json({ error: 'Invalid venue ID' });
+  }
+
+  try {
+    const venue = await venues.getVenue(venueId);
+    if (!venue) {
+      return res.status(404).json({ error: `Venue ${venueId} not found` });
+    }
+    res.json(venue);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read venue' });
+  }
+});
+
+// Create or rename a venue
+app.put('/api/venues/:venueId', async (req, res) => {
+  const { venueId } = req.params;
+  if (!isValidId(venueId)) {
+    return res.status(400).json({ error: 'Invalid venue ID' });
+  }
+
+  try {
+    const venue = await venues.saveVenue(venueId, { name: req.body.name });
+    res.json({ success: true, venue });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to save venue' });
+  }
+});
+
+// Create or update a floor of a venue
+app.put('/api/venues/:venueId/floors/:floorId', async (req, res) => {
+  const { venueId, floorId } = req.params;
+  if (!isValidId(venueId) || !isValidId(floorId)) {
+    return res.status(400).json({ error: 'Invalid venue or floor ID' });
+  }
+
+  const { name, level } = req.body;
+  if (level !== undefined && !Number.isFinite(level)) {
+    return res.status(400).json({ error: 'Floor level must be a number' });
+  }
+
+  try {
+    const floor = await venues.saveFloor(venueId, floorId, { name, level });
+    res.json({ success: true, floor });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to save floor' });
+  }
+});
+
+// Floor-scoped map documents, e.g. /api/venues/main/floors/2/graph
+app.use('/api/venues/:venueId/floors/:floorId', resolveFloor, floorRouter);
+
+// Legacy single-map endpoints keep working as the default venue
+app.use('/api', resolveDefaultFloor, floorRouter);
+
 // Start servers
+// Without keys nobody can edit the map yet
+keys.listKeys().then(list => {
+  if (list.length === 0) {
+    console.log('No API keys yet, so the map is read-only. Issue one with: npm run issue-key -- --role admin --name "Your name"');
+  }
+}).catch(error => console.error('Could not read API keys:', error.message));
+
 if (hasLocalCerts) {
   // Local development with HTTPS
   app.listen(PORT, () => {
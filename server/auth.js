@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { writeFileAtomic } from './venues.js';
+
+// Roles, each allowed everything the ones before it are:
+// - navigator: read the map and plan routes (also what requests without a key are)
+// - surveyor: change the map
+// - admin: also issue and revoke API keys
+export const ROLES = ['navigator', 'surveyor', 'admin'];
+
+// API keys live next to the map data
+export const KEYS_FILE = 'api-keys.json';
+
+const ANONYMOUS = { id: null, name: 'anonymous', role: 'navigator' };
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+export function hasRole(user, role) {
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Locally issued API keys, stored as { keys: [{ id, name, role, hash, created }] }. Only a hash of
+// each key is kept; the key itself is shown once, when it is issued.
+export function createKeyStore(file) {
+  async function readKeys() {
+    try {
+      const data = JSON.parse(await fs.readFile(file, 'utf-8'));
+      return data.keys || [];
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async function writeKeys(keys) {
+    await writeFileAtomic(file, JSON.stringify({ keys }, null, 2));
+  }
+
+  // Key records without their hashes
+  async function listKeys() {
+    return (await readKeys()).map(({ hash, ...record }) => record);
+  }
+
+  // Create a key for someone. Resolves to { key, record }; key is the secret to hand out.
+  async function issueKey({ name, role }) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role ${role}, use one of ${ROLES.join(', ')}`);
+    }
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error('A key needs the name of the person or device it is for');
+    }
+
+    const keys = await readKeys();
+    const key = `mk_${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: crypto.randomBytes(6).toString('hex'),
+      name: name.trim(),
+      role,
+      created: new Date().toISOString()
+    };
+    keys.push({ ...record, hash: hashKey(key) });
+    await writeKeys(keys);
+    return { key, record };
+  }
+
+  // Remove a key by its id; resolves to false if there was none
+  async function revokeKey(id) {
+    const keys = await readKeys();
+    const remaining = keys.filter(record => record.id !== id);
+    if (remaining.length === keys.length) {
+      return false;
+    }
+    await writeKeys(remaining);
+    return true;
+  }
+
+  // The key record ({ id, name, role }) of a secret, or null
+  async function findKey(key) {
+    const hash = Buffer.from(hashKey(key), 'hex');
+    const record = (await readKeys()).find(r => crypto.timingSafeEqual(Buffer.from(r.hash, 'hex'), hash));
+    return record ? { id: record.id, name: record.name, role: record.role } : null;
+  }
+
+  return { listKeys, issueKey, revokeKey, findKey };
+}
+
+// Sets req.user from an "Authorization: Bearer <key>" header. Requests without one are
+// anonymous navigators; a key that doesn't exist is rejected outright.
+export function authenticate(keyStore) {
+  return async (req, res, next) => {
+    const header = req.get('Authorization');
+    if (!header) {
+      req.user = ANONYMOUS;
+      return next();
+    }
+
+    const match = /^Bearer\s+(\S+)$/i.exec(header);
+    try {
+      const user = match && await keyStore.findKey(match[1]);
+      if (!user) {
+        return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'Unknown API key' });
+      }
+      req.user = user;
+      next();
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to check API key' });
+    }
+  };
+}
+
+// Only let users with at least this role through: 401 without a key, 403 with a weaker one
+export function requireRole(role) {
+  return (req, res, next) => {
+    const user = req.user || ANONYMOUS;
+    if (hasRole(user, role)) {
+      return next();
+    }
+    if (!user.id) {
+      return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: `An API key with the ${role} role is required` });
+    }
+    res.status(403).json({ error: `${user.name} is a ${user.role}; this needs the ${role} role` });
+  };
+}
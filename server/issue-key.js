@@ -0,0 +1,31 @@
+// Issue an API key from the command line, e.g. for the first admin:
+//   npm run issue-key -- --role admin --name "Facilities office"
+// Keys are written to api-keys.json in the map data directory (MAP_DATA_DIR, default: the
+// project root). The key is printed once and can't be shown again.
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createKeyStore, KEYS_FILE, ROLES } from './auth.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = process.env.MAP_DATA_DIR || path.join(__dirname, '..');
+
+function option(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+const role = option('role') || 'surveyor';
+const name = option('name');
+if (!name) {
+  console.error(`Usage: npm run issue-key -- --name "Who the key is for" [--role ${ROLES.join('|')}]`);
+  process.exit(1);
+}
+
+try {
+  const { key, record } = await createKeyStore(path.join(DATA_DIR, KEYS_FILE)).issueKey({ name, role });
+  console.log(`Issued ${record.role} key ${record.id} for ${record.name}:`);
+  console.log(key);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,391 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { wrapRotations } from '../src/map-validation.js';
+
+export const DEFAULT_VENUE_ID = 'default';
+export const DEFAULT_FLOOR_ID = 'default';
+
+// Map documents stored for every floor, with the value served when the file doesn't exist yet
+// and, for some, an upgrade applied whenever a stored version is read (older saves don't follow
+// today's schema)
+export const DOCUMENTS = {
+  positions: { file: 'cube-positions.json', empty: { cubes: [] }, upgrade: wrapRotations },
+  graph: { file: 'graph-adjacency.json', empty: { adjacencyList: {} } },
+  rooms: { file: 'node-room-mapping.json', empty: { roomMapping: {} } },
+  markers: { file: 'markers.json', empty: { markers: [] } },
+  anchors: { file: 'anchors.json', empty: { anchors: [] } },
+  pois: { file: 'poi-directory.json', empty: { pois: [] } },
+  closures: { file: 'closures.json', empty: { closures: [] } }
+};
+
+// Venue and floor IDs become directory names, so keep them to a safe character set
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+export function isValidId(id) {
+  return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+// A save based on an older revision than the current one: someone else saved in between
+export class RevisionConflictError extends Error {
+  constructor(documentName, baseRevision, currentRevision) {
+    super(`${documentName} was changed since revision ${baseRevision} (now at revision ${currentRevision})`);
+    this.name = 'RevisionConflictError';
+    this.documentName = documentName;
+    this.baseRevision = baseRevision;
+    this.currentRevision = currentRevision;
+  }
+}
+
+// Write a file so readers (and a crash) see either the old or the new content, never half of it
+export async function writeFileAtomic(file, content) {
+  const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tempFile, content, 'utf-8');
+  await fs.rename(tempFile, file);
+}
+
+// Storage layout:
+//   <rootDir>/cube-positions.json etc.                  default floor of the default venue (legacy files)
+//   <rootDir>/venues/<venueId>/venue.json               venue name and floor list
+//   <rootDir>/venues/<venueId>/floors/<floorId>/*.json  per-floor map documents
+//   <rootDir>/venues/<venueId>/floors/<floorId>/revisions/<document>/<n>.json
+//                                                       every saved version of a document,
+//                                                       { revision, timestamp, author, message, data }
+export function createVenueStore(rootDir) {
+  const venuesDir = path.join(rootDir, 'venues');
+
+  // Saves of the same document run one after the other, so revision numbers and the current
+  // file can't get out of step
+  const locks = new Map();
+
+  // Called with { venueId, floorId, documentName, revision } after every save
+  const listeners = new Set();
+
+  // Get told about saves, e.g. to push changes to clients; returns a function to stop
+  function onChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  function withLock(key, task) {
+    const previous = locks.get(key) || Promise.resolve();
+    const result = previous.then(task, task);
+    const settled = result.catch(() => {});
+    locks.set(key, settled);
+    settled.then(() => {
+      if (locks.get(key) === settled) locks.delete(key);
+    });
+    return result;
+  }
+
+  function venueDir(venueId) {
+    return path.join(venuesDir, venueId);
+  }
+
+  function floorDir(venueId, floorId) {
+    if (venueId === DEFAULT_VENUE_ID && floorId === DEFAULT_FLOOR_ID) {
+      return rootDir;
+    }
+    return path.join(venueDir(venueId), 'floors', floorId);
+  }
+
+  function defaultVenue() {
+    return {
+      id: DEFAULT_VENUE_ID,
+      name: 'Default venue',
+      floors: [{ id: DEFAULT_FLOOR_ID, name: 'Default floor', level: 0 }]
+    };
+  }
+
+  async function readManifest(venueId) {
+    try {
+      const data = await fs.readFile(path.join(venueDir(venueId), 'venue.json'), 'utf-8');
+      return { id: venueId, ...JSON.parse(data) };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function writeManifest(venue) {
+    const { id, ...manifest } = venue;
+    await fs.mkdir(venueDir(id), { recursive: true });
+    await writeFileAtomic(path.join(venueDir(id), 'venue.json'), JSON.stringify(manifest, null, 2));
+  }
+
+  async function getVenue(venueId) {
+    const venue = await readManifest(venueId);
+    if (venueId !== DEFAULT_VENUE_ID) return venue;
+
+    // The default venue always exists and always keeps its legacy floor
+    if (!venue) return defaultVenue();
+    if (!venue.floors.some(floor => floor.id === DEFAULT_FLOOR_ID)) {
+      venue.floors.unshift(defaultVenue().floors[0]);
+    }
+    return venue;
+  }
+
+  async function listVenues() {
+    let entries = [];
+    try {
+      entries = await fs.readdir(venuesDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const ids = entries
+      .filter(entry => entry.isDirectory() && isValidId(entry.name) && entry.name !== DEFAULT_VENUE_ID)
+      .map(entry => entry.name)
+      .sort();
+
+    const venues = [await getVenue(DEFAULT_VENUE_ID)];
+    for (const id of ids) {
+      const venue = await getVenue(id);
+      if (venue) venues.push(venue);
+    }
+    return venues;
+  }
+
+  async function saveVenue(venueId, { name }) {
+    const existing = await readManifest(venueId);
+    const venue = existing || { id: venueId, name: venueId, floors: [] };
+    if (name !== undefined) venue.name = name;
+    await writeManifest(venue);
+    return getVenue(venueId);
+  }
+
+  async function saveFloor(venueId, floorId, { name, level }) {
+    const venue = (await readManifest(venueId)) || { id: venueId, name: venueId, floors: [] };
+    let floor = venue.floors.find(f => f.id === floorId);
+    if (!floor) {
+      floor = { id: floorId, name: floorId, level: venue.floors.length };
+      venue.floors.push(floor);
+    }
+    if (name !== undefined) floor.name = name;
+    if (level !== undefined) floor.level = level;
+    venue.floors.sort((a, b) => a.level - b.level);
+
+    await writeManifest(venue);
+    await fs.mkdir(floorDir(venueId, floorId), { recursive: true });
+    return floor;
+  }
+
+  function upgraded(documentName, data) {
+    const { upgrade } = DOCUMENTS[documentName];
+    return upgrade ? upgrade(data) : data;
+  }
+
+  function documentPath(venueId, floorId, documentName) {
+    return path.join(floorDir(venueId, floorId), DOCUMENTS[documentName].file);
+  }
+
+  async function readDocument(venueId, floorId, documentName) {
+    try {
+      const data = await fs.readFile(documentPath(venueId, floorId, documentName), 'utf-8');
+      return upgraded(documentName, JSON.parse(data));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        // File doesn't exist, return empty document
+        return structuredClone(DOCUMENTS[documentName].empty);
+      }
+      throw error;
+    }
+  }
+
+  // The current document with its revision number ({ data, revision }), read under the save lock
+  // so the two always belong together. The revision is the document's ETag.
+  function readDocumentRevision(venueId, floorId, documentName) {
+    return withLock(`${venueId}/${floorId}/${documentName}`, async () => ({
+      data: await readDocument(venueId, floorId, documentName),
+      revision: await latestRevision(venueId, floorId, documentName)
+    }));
+  }
+
+  // Revisions live next to the floor's documents, except for the legacy default floor whose
+  // documents are in the root directory
+  function revisionsDir(venueId, floorId, documentName) {
+    return path.join(venueDir(venueId), 'floors', floorId, 'revisions', documentName);
+  }
+
+  async function revisionNumbers(venueId, floorId, documentName) {
+    try {
+      const files = await fs.readdir(revisionsDir(venueId, floorId, documentName));
+      return files
+        .map(file => /^(\d+)\.json$/.exec(file))
+        .filter(Boolean)
+        .map(match => parseInt(match[1], 10))
+        .sort((a, b) => a - b);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  // Store a revision under the next free number. Revisions are never overwritten: the file is
+  // hard-linked into place, which fails if another save took the number first.
+  async function addRevision(venueId, floorId, documentName, entry) {
+    const dir = revisionsDir(venueId, floorId, documentName);
+    await fs.mkdir(dir, { recursive: true });
+
+    const numbers = await revisionNumbers(venueId, floorId, documentName);
+    let revision = numbers.length > 0 ? numbers[numbers.length - 1] + 1 : 1;
+    const tempFile = path.join(dir, `.${process.pid}.${Date.now()}.tmp`);
+
+    try {
+      for (;;) {
+        const content = JSON.stringify({ revision, ...entry }, null, 2);
+        await fs.writeFile(tempFile, content, 'utf-8');
+        try {
+          await fs.link(tempFile, path.join(dir, `${revision}.json`));
+          return revision;
+        } catch (error) {
+          if (error.code !== 'EEXIST') throw error;
+          revision++;
+        }
+      }
+    } finally {
+      await fs.rm(tempFile, { force: true });
+    }
+  }
+
+  // Save a document as a new revision and make it the current version.
+  // With a baseRevision (the revision the caller's edit started from) the save fails with a
+  // RevisionConflictError if the document has moved on since. Returns the revision number.
+  function writeDocument(venueId, floorId, documentName, data, options) {
+    return withLock(`${venueId}/${floorId}/${documentName}`, () => saveRevision(venueId, floorId, documentName, data, options));
+  }
+
+  // Read-modify-write on the server: update(data) returns the new document, and no other save
+  // can come in between
+  function updateDocument(venueId, floorId, documentName, update, options) {
+    return withLock(`${venueId}/${floorId}/${documentName}`, async () => {
+      const data = await update(await readDocument(venueId, floorId, documentName));
+      return saveRevision(venueId, floorId, documentName, data, options);
+    });
+  }
+
+  // Change several documents of a floor together, e.g. deleting a node from positions, graph and
+  // rooms. update(documents) gets { positions, graph, ... } as read while holding all their locks
+  // and returns the documents to save; if it throws, nothing is saved.
+  // Resolves to { [documentName]: revision } for the saved documents.
+  async function transaction(venueId, floorId, documentNames, update, options) {
+    const revisions = await venueTransaction(venueId, documentNames.map(name => [floorId, name]),
+      async floors => ({ [floorId]: (await update(floors[floorId])) || {} }), options);
+    return revisions[floorId] || {};
+  }
+
+  // The same over documents of several floors, e.g. a node together with the connectors to it
+  // on other floors. documents are [[floorId, documentName]]; update gets and returns
+  // { [floorId]: { [documentName]: data } }. Resolves to { [floorId]: { [documentName]: revision } }.
+  // Locks are taken in the order of their keys so two transactions can't wait on each other.
+  function venueTransaction(venueId, documents, update, options) {
+    const locked = documents
+      .map(([floorId, name]) => ({ floorId, name, key: `${venueId}/${floorId}/${name}` }))
+      .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+    const run = async () => {
+      const floors = {};
+      for (const { floorId, name } of locked) {
+        floors[floorId] = floors[floorId] || {};
+        floors[floorId][name] = await readDocument(venueId, floorId, name);
+      }
+
+      const changed = Object.entries((await update(floors)) || {})
+        .flatMap(([floorId, changedDocuments]) => Object.entries(changedDocuments)
+          .map(([name, data]) => ({ floorId, name, data })));
+      for (const { floorId, name } of changed) {
+        if (!locked.some(document => document.floorId === floorId && document.name === name)) {
+          throw new Error(`Document ${name} of floor ${floorId} is not part of this transaction`);
+        }
+      }
+
+      const revisions = {};
+      for (const { floorId, name, data } of changed) {
+        revisions[floorId] = revisions[floorId] || {};
+        revisions[floorId][name] = await saveRevision(venueId, floorId, name, data, options);
+      }
+      return revisions;
+    };
+    return locked.reduceRight((task, { key }) => () => withLock(key, task), run)();
+  }
+
+  async function saveRevision(venueId, floorId, documentName, data, { author = 'anonymous', message = '', baseRevision } = {}) {
+    const numbers = await revisionNumbers(venueId, floorId, documentName);
+    const currentRevision = numbers.length > 0 ? numbers[numbers.length - 1] : 0;
+    if (baseRevision !== undefined && baseRevision !== currentRevision) {
+      throw new RevisionConflictError(documentName, baseRevision, currentRevision);
+    }
+
+    await fs.mkdir(floorDir(venueId, floorId), { recursive: true });
+    const file = documentPath(venueId, floorId, documentName);
+
+    // Documents saved before versioning existed become revision 1, so they can be rolled back to
+    if (numbers.length === 0) {
+      try {
+        const [existing, stats] = await Promise.all([fs.readFile(file, 'utf-8'), fs.stat(file)]);
+        await addRevision(venueId, floorId, documentName, {
+          timestamp: stats.mtime.toISOString(),
+          author: 'unknown',
+          message: 'Version before revision history',
+          data: JSON.parse(existing)
+        });
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    const revision = await addRevision(venueId, floorId, documentName, {
+      timestamp: new Date().toISOString(),
+      author,
+      message,
+      data
+    });
+    await writeFileAtomic(file, JSON.stringify(data, null, 2));
+    for (const listener of listeners) {
+      listener({ venueId, floorId, documentName, revision });
+    }
+    return revision;
+  }
+
+  // Revision metadata, oldest first: [{ revision, timestamp, author, message }]
+  async function listRevisions(venueId, floorId, documentName) {
+    const numbers = await revisionNumbers(venueId, floorId, documentName);
+    return Promise.all(numbers.map(async revision => {
+      const { data, ...meta } = await readRevision(venueId, floorId, documentName, revision);
+      return meta;
+    }));
+  }
+
+  // A stored revision ({ revision, timestamp, author, message, data }), or null if there is none
+  async function readRevision(venueId, floorId, documentName, revision) {
+    try {
+      const file = path.join(revisionsDir(venueId, floorId, documentName), `${revision}.json`);
+      const entry = JSON.parse(await fs.readFile(file, 'utf-8'));
+      return { ...entry, data: upgraded(documentName, entry.data) };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Number of the current revision, 0 if the document has never been saved with history
+  async function latestRevision(venueId, floorId, documentName) {
+    const numbers = await revisionNumbers(venueId, floorId, documentName);
+    return numbers.length > 0 ? numbers[numbers.length - 1] : 0;
+  }
+
+  return {
+    listVenues,
+    getVenue,
+    saveVenue,
+    saveFloor,
+    readDocument,
+    readDocumentRevision,
+    writeDocument,
+    updateDocument,
+    transaction,
+    venueTransaction,
+    listRevisions,
+    readRevision,
+    latestRevision,
+    onChange
+  };
+}
@@ -0,0 +1,235 @@
+// Alignment between the surveyed map and the current AR session.
+//
+// Waypoints are stored relative to the floor's reference anchor; referenceAnchor
+// ({ position, orientation }) is where that anchor frame sits in the current session.
+// Every calibration or re-anchoring is an observation of some map points in the session.
+// fitRigidTransform() finds the referenceAnchor that best explains all of them, which spreads
+// tracking drift over the anchors instead of pinning the whole map to one spot.
+// Plain { x, y, z } / { x, y, z, w } objects only, so it runs anywhere.
+//
+// Alignment modes:
+// - yaw: only the heading about the vertical axis is taken from calibrations. Pitch and roll
+//   of a hand-held phone would otherwise tilt the whole map into the ceiling or the floor.
+//   The default for floor-level navigation, since WebXR's local-floor space is already level.
+// - full: the complete 3D rotation, for maps that really aren't level with the tracking space
+export const ALIGNMENT_MODES = {
+  yaw: 'Yaw only (level)',
+  full: 'Full 3D'
+};
+
+export const DEFAULT_ALIGNMENT_MODE = 'yaw';
+
+export function parseAlignmentMode(value) {
+  return ALIGNMENT_MODES[value] ? value : DEFAULT_ALIGNMENT_MODE;
+}
+
+// Rotate vector v by unit quaternion q
+export function rotateVector(q, v) {
+  // t = 2 * (q.xyz × v); v' = v + w * t + q.xyz × t
+  const tx = 2 * (q.y * v.z - q.z * v.y);
+  const ty = 2 * (q.z * v.x - q.x * v.z);
+  const tz = 2 * (q.x * v.y - q.y * v.x);
+  return {
+    x: v.x + q.w * tx + (q.y * tz - q.z * ty),
+    y: v.y + q.w * ty + (q.z * tx - q.x * tz),
+    z: v.z + q.w * tz + (q.x * ty - q.y * tx)
+  };
+}
+
+function applyPose(pose, v) {
+  const rotated = rotateVector(pose.orientation, v);
+  return {
+    x: rotated.x + pose.position.x,
+    y: rotated.y + pose.position.y,
+    z: rotated.z + pose.position.z
+  };
+}
+
+// Split an orientation into its heading about the vertical (y) axis and the pitch/roll on top
+// of it (swing-twist decomposition). Returns the heading and the rejected tilt in degrees.
+export function levelOrientation(q) {
+  const length = Math.hypot(q.y, q.w);
+  if (length < 1e-9) {
+    // Upside down: no meaningful heading
+    return { orientation: { x: 0, y: 0, z: 0, w: 1 }, rejectedTilt: 180 };
+  }
+  return {
+    orientation: { x: 0, y: q.y / length, z: 0, w: q.w / length },
+    rejectedTilt: 2 * Math.acos(Math.min(1, length)) * 180 / Math.PI
+  };
+}
+
+// The same pose with its pitch and roll removed: { pose, rejectedTilt }
+export function levelPose(pose) {
+  const { orientation, rejectedTilt } = levelOrientation(pose.orientation);
+  return { pose: { position: { ...pose.position }, orientation }, rejectedTilt };
+}
+
+const IDENTITY_POSE = {
+  position: { x: 0, y: 0, z: 0 },
+  orientation: { x: 0, y: 0, z: 0, w: 1 }
+};
+
+// A pose seen in both frames pins orientation as well as position: use its origin and the tips
+// of its unit axes as point pairs. localPose is in the anchor frame (defaults to the anchor itself).
+export function posePairs(sessionPose, localPose = IDENTITY_POSE, weight = 1) {
+  const offsets = [{ x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }, { x: 0, y: 1, z: 0 }, { x: 0, y: 0, z: 1 }];
+  return offsets.map(offset => ({
+    from: applyPose(localPose, offset),
+    to: applyPose(sessionPose, offset),
+    weight
+  }));
+}
+
+// Eigenvector of the largest eigenvalue of a symmetric 4x4 matrix (Jacobi rotations)
+function dominantEigenvector(matrix) {
+  const a = matrix.map(row => row.slice());
+  const v = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]];
+
+  for (let sweep = 0; sweep < 50; sweep++) {
+    let offDiagonal = 0;
+    for (let p = 0; p < 3; p++) {
+      for (let q = p + 1; q < 4; q++) offDiagonal += a[p][q] * a[p][q];
+    }
+    if (offDiagonal < 1e-18) break;
+
+    for (let p = 0; p < 3; p++) {
+      for (let q = p + 1; q < 4; q++) {
+        if (Math.abs(a[p][q]) < 1e-15) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        for (let k = 0; k < 4; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < 4; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < 4; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  let best = 0;
+  for (let i = 1; i < 4; i++) {
+    if (a[i][i] > a[best][best]) best = i;
+  }
+  return [v[0][best], v[1][best], v[2][best], v[3][best]];
+}
+
+// Weighted least-squares rigid transform (rotation + translation, no scale) mapping each pair's
+// `from` point onto its `to` point, using Horn's quaternion method. With yawOnly the rotation
+// is limited to the vertical axis.
+// pairs: [{ from, to, weight }]. Returns a pose { position, orientation }, or null without pairs.
+export function fitRigidTransform(pairs, { yawOnly = false } = {}) {
+  const totalWeight = pairs.reduce((sum, pair) => sum + (pair.weight ?? 1), 0);
+  if (pairs.length === 0 || totalWeight <= 0) {
+    return null;
+  }
+
+  // Weighted centroids
+  const fromCentroid = { x: 0, y: 0, z: 0 };
+  const toCentroid = { x: 0, y: 0, z: 0 };
+  for (const { from, to, weight = 1 } of pairs) {
+    for (const axis of ['x', 'y', 'z']) {
+      fromCentroid[axis] += from[axis] * weight / totalWeight;
+      toCentroid[axis] += to[axis] * weight / totalWeight;
+    }
+  }
+
+  // Weighted cross-covariance S[i][j] = Σ w * from_i * to_j of the centred points
+  const s = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  for (const { from, to, weight = 1 } of pairs) {
+    const f = [from.x - fromCentroid.x, from.y - fromCentroid.y, from.z - fromCentroid.z];
+    const t = [to.x - toCentroid.x, to.y - toCentroid.y, to.z - toCentroid.z];
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) s[i][j] += weight * f[i] * t[j];
+    }
+  }
+
+  const [[sxx, sxy, sxz], [syx, syy, syz], [szx, szy, szz]] = s;
+  let orientation;
+  if (yawOnly) {
+    // Rotation by θ about y maximises Σ w * to · R(from) at θ = atan2(Σ fz*tx - fx*tz, Σ fx*tx + fz*tz)
+    const angle = Math.atan2(szx - sxz, sxx + szz);
+    orientation = { x: 0, y: Math.sin(angle / 2), z: 0, w: Math.cos(angle / 2) };
+  } else {
+    const [w, x, y, z] = dominantEigenvector([
+      [sxx + syy + szz, syz - szy, szx - sxz, sxy - syx],
+      [syz - szy, sxx - syy - szz, sxy + syx, szx + sxz],
+      [szx - sxz, sxy + syx, -sxx + syy - szz, syz + szy],
+      [sxy - syx, szx + sxz, syz + szy, -sxx - syy + szz]
+    ]);
+    const length = Math.hypot(w, x, y, z);
+    orientation = { x: x / length, y: y / length, z: z / length, w: w / length };
+  }
+
+  const rotatedCentroid = rotateVector(orientation, fromCentroid);
+  return {
+    position: {
+      x: toCentroid.x - rotatedCentroid.x,
+      y: toCentroid.y - rotatedCentroid.y,
+      z: toCentroid.z - rotatedCentroid.z
+    },
+    orientation
+  };
+}
+
+// Where a point given relative to the anchor frame is in the session
+export function anchorToSession(referenceAnchor, point) {
+  return applyPose(referenceAnchor, point);
+}
+
+// Inverse of anchorToSession, e.g. to survey the camera position as an anchor point
+export function sessionToAnchor(referenceAnchor, point) {
+  const { orientation: q, position } = referenceAnchor;
+  const inverse = { x: -q.x, y: -q.y, z: -q.z, w: q.w };
+  return rotateVector(inverse, {
+    x: point.x - position.x,
+    y: point.y - position.y,
+    z: point.z - position.z
+  });
+}
+
+// Session position of a waypoint saved in the positions document. Saved positions are in the
+// frame of the session that stored them, next to that session's reference anchor (savedAnchor).
+// Without a saved orientation only the translation between the anchors is applied; with yawOnly
+// only the difference in heading between the two anchors is.
+export function savedPointToSession(savedAnchor, referenceAnchor, point, { yawOnly = false } = {}) {
+  const savedPosition = (savedAnchor && savedAnchor.position) || { x: 0, y: 0, z: 0 };
+  const offset = {
+    x: point.x - savedPosition.x,
+    y: point.y - savedPosition.y,
+    z: point.z - savedPosition.z
+  };
+
+  if (!savedAnchor || !savedAnchor.orientation || !referenceAnchor.orientation) {
+    return {
+      x: offset.x + referenceAnchor.position.x,
+      y: offset.y + referenceAnchor.position.y,
+      z: offset.z + referenceAnchor.position.z
+    };
+  }
+  const q = yawOnly ? levelOrientation(savedAnchor.orientation).orientation : savedAnchor.orientation;
+  const current = yawOnly ? levelPose(referenceAnchor).pose : referenceAnchor;
+  const local = rotateVector({ x: -q.x, y: -q.y, z: -q.z, w: q.w }, offset);
+  return anchorToSession(current, local);
+}
+
+// Inverse of savedPointToSession: where a session point goes in a positions document saved next
+// to savedAnchor, e.g. to move one of its waypoints
+export function sessionPointToSaved(savedAnchor, referenceAnchor, point, { yawOnly = false } = {}) {
+  return savedPointToSession(referenceAnchor, savedAnchor || { position: { x: 0, y: 0, z: 0 } }, point, { yawOnly });
+}
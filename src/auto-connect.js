@@ -0,0 +1,133 @@
+// Proposes graph edges between recorded waypoints, for the surveyor to accept or reject one by one
+// in the waypoint editor; no Node or DOM APIs.
+//
+// Two waypoints are proposed as neighbours when they are close on the same level:
+// - nearest: one of the other's `neighbours` nearest waypoints
+// - walk: placed one after the other in the surveying app (by their placedAt time), i.e. the
+//   surveyor walked between them. IDs say nothing about this: a new waypoint takes the lowest
+//   free number, which may be a deleted waypoint's.
+//   Waypoints stored without placedAt take no part.
+// Either way they must be at most maxDistance apart and at most maxHeightDifference above or below
+// each other, so waypoints on a landing aren't linked to the corridor underneath.
+// Existing edges whose distance no longer matches their waypoints are proposed for an update.
+
+export const AUTO_CONNECT_DEFAULTS = {
+  neighbours: 3,
+  maxDistance: 3,
+  maxHeightDifference: 0.5,
+  walkOrder: true
+};
+
+// Distances are only proposed for an update when they are off by more than this (m)
+const DISTANCE_PRECISION = 0.01;
+
+// Sort key of a waypoint ID, so cube_10 comes after cube_9: the number in it, or Infinity for
+// hand-made IDs
+function idNumber(id) {
+  const match = /^cube_(\d+)$/.exec(id);
+  return match ? parseInt(match[1], 10) : Infinity;
+}
+
+function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+// cubes: the waypoints of positions.json; adjacencyList: the floor's graph.
+// Returns the proposals sorted by waypoint:
+//   { action: 'add', from, to, distance, reasons: ['nearest' | 'walk'] }
+//   { action: 'update', from, to, distance, previous }
+export function proposeEdges(cubes, adjacencyList, options = {}) {
+  const { neighbours, maxDistance, maxHeightDifference, walkOrder } = { ...AUTO_CONNECT_DEFAULTS, ...options };
+  const points = cubes
+    .filter(cube => cube.worldPosition)
+    .map(cube => ({ id: cube.id, position: cube.worldPosition, placedAt: cube.placedAt }));
+  const located = new Map(points.map(point => [point.id, point.position]));
+  const distanceBetween = (a, b) => Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z);
+  const reachable = (a, b) =>
+    Math.abs(b.y - a.y) <= maxHeightDifference && distanceBetween(a, b) <= maxDistance;
+
+  // Waypoint pairs linked on this floor in either direction
+  const linked = new Set();
+  for (const [from, edges] of Object.entries(adjacencyList || {})) {
+    for (const edge of edges) {
+      if (!edge.floor) linked.add(pairKey(from, edge.node || edge));
+    }
+  }
+
+  const candidates = new Map();
+  const propose = (a, b, reason) => {
+    const key = pairKey(a.id, b.id);
+    if (linked.has(key)) return;
+    if (!candidates.has(key)) {
+      const [from, to] = idNumber(a.id) <= idNumber(b.id) ? [a, b] : [b, a];
+      candidates.set(key, {
+        action: 'add',
+        from: from.id,
+        to: to.id,
+        distance: distanceBetween(a.position, b.position),
+        reasons: []
+      });
+    }
+    const reasons = candidates.get(key).reasons;
+    if (!reasons.includes(reason)) reasons.push(reason);
+  };
+
+  for (const point of points) {
+    points
+      .filter(other => other !== point && reachable(point.position, other.position))
+      .sort((a, b) => distanceBetween(point.position, a.position) - distanceBetween(point.position, b.position))
+      .slice(0, neighbours)
+      .forEach(other => propose(point, other, 'nearest'));
+  }
+
+  if (walkOrder) {
+    const walk = points
+      .filter(point => Number.isFinite(point.placedAt))
+      .sort((a, b) => a.placedAt - b.placedAt);
+    for (let i = 1; i < walk.length; i++) {
+      if (reachable(walk[i - 1].position, walk[i].position)) {
+        propose(walk[i - 1], walk[i], 'walk');
+      }
+    }
+  }
+
+  // Edges saved with a distance that no longer matches where their waypoints are now. Both
+  // directions of a two-way edge are one proposal.
+  const updates = new Map();
+  for (const [from, edges] of Object.entries(adjacencyList || {})) {
+    for (const edge of edges) {
+      const to = edge.node || edge;
+      if (edge.floor || !located.has(from) || !located.has(to)) continue;
+      const distance = distanceBetween(located.get(from), located.get(to));
+      const previous = typeof edge === 'object' && Number.isFinite(edge.distance) ? edge.distance : null;
+      if (previous !== null && Math.abs(previous - distance) <= DISTANCE_PRECISION) continue;
+      const key = pairKey(from, to);
+      if (!updates.has(key)) {
+        updates.set(key, { action: 'update', from, to, distance, previous });
+      }
+    }
+  }
+
+  const byWaypoint = (a, b) => idNumber(a.from) - idNumber(b.from) ||
+    a.from.localeCompare(b.from) || idNumber(a.to) - idNumber(b.to) || a.to.localeCompare(b.to);
+  return [...candidates.values(), ...updates.values()].sort(byWaypoint);
+}
+
+// The map commands (src/map-commands.js) that make the accepted proposals, so they can be undone
+// together. New edges are plain two-way walkways; updates change the distance of the edge in both
+// directions and keep its other attributes.
+export function proposalCommands(adjacencyList, proposals) {
+  return proposals.map(({ action, from, to, distance }) => {
+    if (action !== 'update') {
+      return { type: 'addEdge', from, to, distance };
+    }
+    const command = { type: 'setEdges', from, to };
+    for (const [direction, a, b] of [['forward', from, to], ['backward', to, from]]) {
+      const edge = (adjacencyList[a] || []).find(e => (e.node || e) === b && !e.floor);
+      if (edge) {
+        command[direction] = typeof edge === 'object' ? { ...edge, distance } : { node: b, distance };
+      }
+    }
+    return command;
+  });
+}
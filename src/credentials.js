@@ -0,0 +1,49 @@
+// API key of the surveyor using the mapping tools. Reading the map needs no key; saving it does.
+// The key is asked for the first time the server turns a save down and kept in localStorage.
+const STORAGE_KEY = 'mapApiKey';
+
+export function getApiKey() {
+  return localStorage.getItem(STORAGE_KEY);
+}
+
+export function setApiKey(key) {
+  if (key) {
+    localStorage.setItem(STORAGE_KEY, key);
+  } else {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+}
+
+// Ask for a key; resolves to false if the user cancels
+export function promptForApiKey(message = 'Enter your surveyor API key to edit the map:') {
+  const key = prompt(message);
+  if (!key || !key.trim()) {
+    return false;
+  }
+  setApiKey(key.trim());
+  return true;
+}
+
+// fetch() with the stored key. When the server answers 401 (no or unknown key) or 403 (a
+// navigator key), asks for another key and tries again until it works or the user cancels.
+export async function authorizedFetch(url, options = {}) {
+  for (;;) {
+    const key = getApiKey();
+    const headers = { ...options.headers };
+    if (key) {
+      headers.Authorization = `Bearer ${key}`;
+    }
+
+    const response = await fetch(url, { ...options, headers });
+    if (response.status !== 401 && response.status !== 403) {
+      return response;
+    }
+
+    const message = response.status === 401
+      ? (key ? 'That API key is not valid. Enter your surveyor API key:' : 'Enter your surveyor API key to edit the map:')
+      : 'This API key can only view the map. Enter a surveyor or admin key:';
+    if (!promptForApiKey(message)) {
+      return response;
+    }
+  }
+}
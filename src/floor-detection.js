@@ -0,0 +1,44 @@
+// Finding the floor in the camera feed with WebXR hit testing. The surveying app drops waypoints
+// where the reticle touches the floor; the navigation app draws routes on it.
+//
+// Waypoints keep their position where they were placed and record their heightAboveFloor next to
+// it, so the route can be drawn on the ground under waypoints that hang in mid-air.
+import * as THREE from 'three';
+
+// Surfaces tilted more than this are walls, furniture edges or noise rather than the floor
+const MAX_FLOOR_TILT = THREE.MathUtils.degToRad(15);
+// Hits less than this far below the phone are tables and counters
+const MIN_FLOOR_DEPTH = 0.5; // metres
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+// The first hit-test result of the frame that lies on the floor, as { position, quaternion } in
+// the renderer's reference space, or null. cameraPosition is the phone's position in that space.
+export function findFloorHit(frame, hitTestSource, referenceSpace, cameraPosition) {
+  if (!frame || !hitTestSource || !referenceSpace) {
+    return null;
+  }
+
+  for (const result of frame.getHitTestResults(hitTestSource)) {
+    const pose = result.getPose(referenceSpace);
+    if (!pose) continue;
+
+    const { position, orientation } = pose.transform;
+    const quaternion = new THREE.Quaternion(orientation.x, orientation.y, orientation.z, orientation.w);
+    const normal = UP.clone().applyQuaternion(quaternion);
+    if (normal.angleTo(UP) > MAX_FLOOR_TILT || cameraPosition.y - position.y < MIN_FLOOR_DEPTH) continue;
+
+    return { position: new THREE.Vector3(position.x, position.y, position.z), quaternion };
+  }
+  return null;
+}
+
+// A flat ring lying on the floor where a tap will drop the next waypoint; hidden until the floor
+// is found
+export function createFloorReticle() {
+  const geometry = new THREE.RingGeometry(0.12, 0.16, 32).rotateX(-Math.PI / 2);
+  const material = new THREE.MeshBasicMaterial({ color: 0x00ff88, transparent: true, opacity: 0.8 });
+  const reticle = new THREE.Mesh(geometry, material);
+  reticle.visible = false;
+  return reticle;
+}
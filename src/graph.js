@@ -0,0 +1,203 @@
+// Navigation graph helpers shared by the server, the AR client and the visualizer.
+//
+// Edges in graph-adjacency.json look like { node, distance, type, floor, slope, width }:
+// - type is one of EDGE_TYPES (edges without a type are plain walking edges)
+// - floor is set when the neighbor is on another floor of the same venue
+// - slope (rise over run) and width (metres) are optional accessibility attributes
+
+// Cost of each edge type, in metres of flat walking:
+// cost = distance * costFactor + fixedCost + perLevelCost * floors climbed
+export const EDGE_TYPES = {
+  walk: { label: 'walkway', costFactor: 1, fixedCost: 0, perLevelCost: 0 },
+  door: { label: 'door', costFactor: 1, fixedCost: 2, perLevelCost: 0 },
+  ramp: { label: 'ramp', costFactor: 1.2, fixedCost: 0, perLevelCost: 5 },
+  stairs: { label: 'stairs', costFactor: 2, fixedCost: 0, perLevelCost: 10 },
+  elevator: { label: 'elevator', costFactor: 0, fixedCost: 30, perLevelCost: 3 }
+};
+
+export const DEFAULT_EDGE_TYPE = 'walk';
+
+export function edgeType(edge) {
+  return (edge && EDGE_TYPES[edge.type]) ? edge.type : DEFAULT_EDGE_TYPE;
+}
+
+export function edgeCost(edge) {
+  const model = EDGE_TYPES[edgeType(edge)];
+  const distance = edge.distance || (edge.floor ? 0 : 1);
+  const levels = Math.abs(edge.levelChange || 0);
+  return distance * model.costFactor + model.fixedCost + levels * model.perLevelCost;
+}
+
+// Routing profiles offered next to the destination selector. Emergency profiles are only used by
+// evacuation mode and never fall back to a route that breaks their rules.
+export const ROUTING_PROFILES = {
+  standard: { label: 'Standard route' },
+  stepFree: { label: 'Step-free route' },
+  evacuation: { label: 'Evacuation route', emergency: true }
+};
+
+export const DEFAULT_ROUTING_PROFILE = 'standard';
+
+// Step-free limits: 1:12 ramps and 80 cm clear door width
+export const MAX_STEP_FREE_SLOPE = 1 / 12;
+export const MIN_STEP_FREE_WIDTH = 0.8;
+
+// Why an edge can't be used with a routing profile ('stairs', 'steep ramp', 'narrow door',
+// 'elevator'), or null if it can
+export function edgeBarrier(edge, profile) {
+  if (typeof edge !== 'object') {
+    return null;
+  }
+
+  const type = edgeType(edge);
+  // Elevators are out of service or unsafe in an emergency
+  if (profile === 'evacuation') {
+    return type === 'elevator' ? 'elevator' : null;
+  }
+  if (profile !== 'stepFree') {
+    return null;
+  }
+  if (type === 'stairs') {
+    return 'stairs';
+  }
+  if (Math.abs(edge.slope || 0) > MAX_STEP_FREE_SLOPE) {
+    return 'steep ramp';
+  }
+  if (edge.width !== undefined && edge.width < MIN_STEP_FREE_WIDTH) {
+    return type === 'door' ? 'narrow door' : 'narrow passage';
+  }
+  return null;
+}
+
+// Nodes on other floors are referenced as "<floorId>:<nodeId>" relative to the current floor
+const FLOOR_SEPARATOR = ':';
+
+export function qualifyNodeId(floorId, nodeId, currentFloorId) {
+  return floorId === currentFloorId ? nodeId : `${floorId}${FLOOR_SEPARATOR}${nodeId}`;
+}
+
+export function parseNodeId(id, currentFloorId) {
+  const index = id.indexOf(FLOOR_SEPARATOR);
+  if (index === -1) {
+    return { floorId: currentFloorId, nodeId: id };
+  }
+  return { floorId: id.slice(0, index), nodeId: id.slice(index + 1) };
+}
+
+// Merge the graphs, room mappings and waypoint positions of all floors of a venue into one graph,
+// with node IDs relative to currentFloorId. floors: [{ id, level, adjacencyList, roomMapping, cubes }]
+export function buildVenueGraph(floors, currentFloorId) {
+  const levels = {};
+  floors.forEach(floor => {
+    levels[floor.id] = floor.level || 0;
+  });
+
+  const adjacencyList = {};
+  const roomMapping = {};
+  const positions = {};
+
+  floors.forEach(floor => {
+    for (const [nodeId, edges] of Object.entries(floor.adjacencyList || {})) {
+      const from = qualifyNodeId(floor.id, nodeId, currentFloorId);
+      adjacencyList[from] = edges
+        .filter(edge => !edge.floor || levels[edge.floor] !== undefined)
+        .map(edge => {
+          const neighbor = edge.node || edge;
+          const targetFloor = edge.floor || floor.id;
+          const merged = typeof edge === 'object' ? { ...edge } : { distance: 1 };
+          merged.node = qualifyNodeId(targetFloor, neighbor, currentFloorId);
+          if (targetFloor !== floor.id) {
+            merged.floor = targetFloor;
+            merged.levelChange = levels[targetFloor] - levels[floor.id];
+          }
+          return merged;
+        });
+    }
+
+    for (const [nodeId, room] of Object.entries(floor.roomMapping || {})) {
+      roomMapping[qualifyNodeId(floor.id, nodeId, currentFloorId)] = room;
+    }
+
+    // Positions are in each floor's own survey frame, so remember which floor they belong to
+    for (const cube of floor.cubes || []) {
+      if (!cube.worldPosition) continue;
+      const { x, y, z } = cube.worldPosition;
+      positions[qualifyNodeId(floor.id, cube.id, currentFloorId)] = { x, y, z, floor: floor.id };
+    }
+  });
+
+  return { adjacencyList, roomMapping, positions };
+}
+
+// Closures an operator has marked on a floor (closures.json): { closures: [closure] } with
+//   { id, node } to close a waypoint or { id, from, to } to close the edges between two waypoints,
+//   plus kind ('closed' or 'hazard'), reason and since
+export const CLOSURE_KINDS = ['closed', 'hazard'];
+
+// The merged venue graph without closed areas: closed edges can't be used either way, and closed
+// waypoints can't be entered. Edges out of a closed waypoint stay, so someone standing in a
+// closed area can still be led out of it. floors: [{ id, closures }] as for buildVenueGraph.
+export function withoutClosures(graph, floors, currentFloorId) {
+  const closedNodes = new Set();
+  const closedEdges = new Set();
+  for (const floor of floors) {
+    for (const closure of floor.closures || []) {
+      if (closure.node) {
+        closedNodes.add(qualifyNodeId(floor.id, closure.node, currentFloorId));
+      } else if (closure.from && closure.to) {
+        const from = qualifyNodeId(floor.id, closure.from, currentFloorId);
+        const to = qualifyNodeId(floor.id, closure.to, currentFloorId);
+        closedEdges.add(`${from}|${to}`).add(`${to}|${from}`);
+      }
+    }
+  }
+  if (closedNodes.size === 0 && closedEdges.size === 0) {
+    return graph;
+  }
+
+  const adjacencyList = {};
+  for (const [from, edges] of Object.entries(graph.adjacencyList)) {
+    adjacencyList[from] = edges.filter(edge => {
+      const to = edge.node || edge;
+      return !closedNodes.has(to) && !closedEdges.has(`${from}|${to}`);
+    });
+  }
+  return { ...graph, adjacencyList };
+}
+
+// Human-readable step for an edge that changes floors, e.g. "Take the elevator to Floor 3"
+export function describeFloorChange(edge, floorName) {
+  const type = edgeType(edge);
+  const direction = edge.levelChange > 0 ? 'up ' : edge.levelChange < 0 ? 'down ' : '';
+  switch (type) {
+    case 'elevator':
+      return `Take the elevator to ${floorName}`;
+    case 'stairs':
+      return `Take the stairs ${direction}to ${floorName}`;
+    case 'ramp':
+      return `Take the ramp ${direction}to ${floorName}`;
+    default:
+      return `Continue to ${floorName}`;
+  }
+}
+
+// Instruction for one route segment, e.g. "Walk 4.2 m" or "Go through the door"
+export function describeSegment(edge, floorName) {
+  if (edge.floor) {
+    return describeFloorChange(edge, floorName);
+  }
+
+  const distance = `${(edge.distance || 0).toFixed(1)} m`;
+  switch (edgeType(edge)) {
+    case 'door':
+      return 'Go through the door';
+    case 'ramp':
+      return `Take the ramp for ${distance}`;
+    case 'stairs':
+      return 'Take the stairs';
+    case 'elevator':
+      return 'Take the elevator';
+    default:
+      return `Walk ${distance}`;
+  }
+}
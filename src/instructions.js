@@ -0,0 +1,111 @@
+// Turn-by-turn instructions from a node path and waypoint positions.
+// Plain data in and out (positions only need x/y/z), so it works without WebXR or the DOM.
+
+// Heading change (degrees) below which the user keeps going straight, and above which
+// the route doubles back
+export const STRAIGHT_ANGLE = 30;
+export const UTURN_ANGLE = 150;
+
+// Within this many metres of a maneuver, say "Turn left" instead of "In 4 m, turn left"
+export const NOW_DISTANCE = 3;
+
+const MANEUVER_TEXT = {
+  straight: 'Continue straight',
+  left: 'Turn left',
+  right: 'Turn right',
+  uturn: 'Make a U-turn'
+};
+
+function horizontalDistance(a, b) {
+  return Math.hypot(b.x - a.x, b.z - a.z);
+}
+
+// Signed heading change from segment a→b to segment b→c in degrees, seen from above.
+// Positive is a left turn (y up, like the AR scene).
+export function headingChange(a, b, c) {
+  const d1x = b.x - a.x;
+  const d1z = b.z - a.z;
+  const d2x = c.x - b.x;
+  const d2z = c.z - b.z;
+  const cross = d1z * d2x - d1x * d2z;
+  const dot = d1x * d2x + d1z * d2z;
+  return Math.atan2(cross, dot) * 180 / Math.PI;
+}
+
+export function classifyTurn(angle) {
+  const size = Math.abs(angle);
+  if (size < STRAIGHT_ANGLE) return 'straight';
+  if (size > UTURN_ANGLE) return 'uturn';
+  return angle > 0 ? 'left' : 'right';
+}
+
+// Walking distance along the path between two path indices
+export function distanceAlongPath(path, positions, fromIndex, toIndex) {
+  let distance = 0;
+  for (let i = fromIndex; i < toIndex; i++) {
+    const a = positions[path[i]];
+    const b = positions[path[i + 1]];
+    if (a && b) distance += horizontalDistance(a, b);
+  }
+  return distance;
+}
+
+// Turn a path into maneuvers: one per turn plus a final 'arrive'. Straight stretches are merged,
+// so each maneuver's distance is the walk from the previous maneuver (or the start) to it.
+//   buildManeuvers(['cube_1', 'cube_2', 'cube_3'], positions, { arrival: 'Arrive at B1' })
+//   → [{ type: 'left', index: 1, nodeId: 'cube_2', angle: 90, distance: 4, text: 'Turn left' },
+//      { type: 'arrive', index: 2, nodeId: 'cube_3', angle: 0, distance: 3, text: 'Arrive at B1' }]
+// Nodes without a position are skipped when measuring headings.
+export function buildManeuvers(path, positions, { arrival = 'Arrive at your destination' } = {}) {
+  const maneuvers = [];
+  if (!path || path.length === 0) {
+    return maneuvers;
+  }
+
+  const located = path
+    .map((nodeId, index) => ({ nodeId, index, position: positions[nodeId] }))
+    .filter(node => node.position);
+
+  let lastIndex = 0;
+  for (let i = 1; i < located.length - 1; i++) {
+    const angle = headingChange(located[i - 1].position, located[i].position, located[i + 1].position);
+    const type = classifyTurn(angle);
+    if (type === 'straight') continue;
+
+    maneuvers.push({
+      type,
+      index: located[i].index,
+      nodeId: located[i].nodeId,
+      angle,
+      distance: distanceAlongPath(path, positions, lastIndex, located[i].index),
+      text: MANEUVER_TEXT[type]
+    });
+    lastIndex = located[i].index;
+  }
+
+  const end = path.length - 1;
+  maneuvers.push({
+    type: 'arrive',
+    index: end,
+    nodeId: path[end],
+    angle: 0,
+    distance: distanceAlongPath(path, positions, lastIndex, end),
+    text: arrival
+  });
+
+  return maneuvers;
+}
+
+// First maneuver the user hasn't passed yet, given the index of the path node they're at
+export function nextManeuver(maneuvers, pathIndex) {
+  return maneuvers.find(maneuver => maneuver.index >= pathIndex) || null;
+}
+
+// Sentence for the HUD and voice, e.g. "In 5 m, turn left" or "Turn left"
+export function describeManeuver(maneuver, distanceAhead) {
+  if (distanceAhead < NOW_DISTANCE) {
+    return maneuver.text;
+  }
+  const action = maneuver.text.charAt(0).toLowerCase() + maneuver.text.slice(1);
+  return `In ${Math.round(distanceAhead)} m, ${action}`;
+}
@@ -1,7 +1,12 @@
 import './style.css'
 import * as THREE from 'three'
-
-const API_URL = '/api/positions';
+import { floorApiUrl, getFloorId } from './venue.js'
+import { sessionToAnchor, savedPointToSession, sessionPointToSaved, levelPose, parseAlignmentMode } from './alignment.js'
+import { loadTrackedMarkers, withImageTracking, getVisibleMarkers, anchorFromMarker, markerPoseFromAnchor } from './markers.js'
+import { loadDocument, updateDocument, saveEdits } from './map-documents.js'
+import { findFloorHit, createFloorReticle } from './floor-detection.js'
+import { EditHistory, MapCommandError, floorMap, mapCommandPositions } from './map-commands.js'
+import { wrapRotation } from './map-validation.js'
 
 let camera, scene, renderer;
 let xrSession = null;
@@ -11,6 +16,44 @@ let xrHitTestSource = null;
 let xrReferenceSpace = null;
 let originMarker = null; // Visual marker at world origin
 let showNearestEnabled = false; // Track if nearest cube highlighting is enabled
+let trackedImages = []; // Marker images handed to WebXR image tracking
+let trackedMarkers = []; // Calibration markers of this floor, same order as trackedImages
+let visibleMarkers = []; // Markers seen in the latest frame
+let rejectedTilt = 0; // Pitch/roll (degrees) dropped from the last calibration
+let positionsAnchor = null; // Reference anchor the positions on the server are stored next to
+// The floor's map (waypoints in session coordinates) with undo/redo; every edit is made on it as
+// a map command, and Store Points sends the unsaved ones to the server in one go
+const mapHistory = new EditHistory(floorMap());
+let selectedCube = null; // Waypoint tapped for editing
+let movingCube = null; // Selected waypoint following the reticle until the next tap: { cube, from }
+let linkingCube = null; // Selected waypoint waiting for a tap on the neighbour to link it to
+let reticle = null; // Ring on the floor where a tap drops the next waypoint
+let floorHit = null; // Floor point under the reticle in the latest frame, or null
+let floorLevel = null; // Height of the floor last found by hit testing
+let walkState = 'off'; // Record Walk mode: 'off', 'recording' or 'paused'
+let walkLastCube = null; // Waypoint the next recorded one is chained to
+let walkTrail = []; // Floor points walked since walkLastCube
+let holdingHeight; // How high the phone is held above the floor while recording
+
+// Record Walk drops a waypoint on the floor every WALK_SPACING metres of straight walking, and at
+// turns: when the walk strays more than WALK_CORNER_TOLERANCE from the straight line, at the
+// point where it turned
+const WALK_SPACING = 2;
+const WALK_CORNER_TOLERANCE = 0.3;
+const WALK_TRAIL_STEP = 0.1; // m between the points of the trail kept to find turns
+// Walking this close to an existing waypoint chains the walk to it instead (junctions, loops);
+// starting or resuming within WALK_JOIN_DISTANCE of one branches off from it
+const WALK_JOIN_DISTANCE = 1;
+const WALK_SNAP_DISTANCE = 0.5;
+const WALK_MAX_HEIGHT_DIFFERENCE = 0.5;
+// Used when the phone's height above the floor can't be measured
+const DEFAULT_HOLDING_HEIGHT = 1.3;
+
+// A tap selects the waypoint closest to the tapped ray, if it passes this close to it
+const SELECT_RADIUS = 0.25; // metres
+
+// Yaw-only alignment keeps the map level however the phone was held; ?alignment=full uses the full rotation
+const alignmentMode = parseAlignmentMode(new URLSearchParams(window.location.search).get('alignment'));
 
 init();
 
@@ -47,6 +90,13 @@ function initARSession() {
   directionalLight.position.set(0, 1, 1);
   scene.add(directionalLight);
 
+  // Reticle showing where on the floor the next waypoint goes
+  reticle = createFloorReticle();
+  scene.add(reticle);
+
+  // Taps on the buttons shouldn't also drop a waypoint
+  document.getElementById('overlay').addEventListener('beforexrselect', (event) => event.preventDefault());
+
   // Setup AR button
   const button = document.getElementById('ar-button');
   
@@ -86,6 +136,34 @@ function initARSession() {
   const storePointsButton = document.getElementById('store-points-button');
   storePointsButton.addEventListener('click', onStorePointsClick);
 
+  // Setup Register Marker button
+  const registerMarkerButton = document.getElementById('register-marker-button');
+  registerMarkerButton.addEventListener('click', onRegisterMarkerClick);
+
+  // Setup Add Anchor button
+  const addAnchorButton = document.getElementById('add-anchor-button');
+  addAnchorButton.addEventListener('click', onAddAnchorClick);
+
+  // Setup Record Walk button
+  const recordWalkButton = document.getElementById('record-walk-button');
+  recordWalkButton.addEventListener('click', onRecordWalkClick);
+
+  // Setup Undo and Redo buttons
+  document.getElementById('undo-button').addEventListener('click', () => stepHistory('undo'));
+  document.getElementById('redo-button').addEventListener('click', () => stepHistory('redo'));
+
+  // Setup the actions on the selected waypoint
+  document.getElementById('move-node-button').addEventListener('click', onMoveNodeClick);
+  document.getElementById('room-node-button').addEventListener('click', onRoomNodeClick);
+  document.getElementById('link-node-button').addEventListener('click', onLinkNodeClick);
+  document.getElementById('delete-node-button').addEventListener('click', onDeleteNodeClick);
+  document.getElementById('deselect-node-button').addEventListener('click', deselectCube);
+
+  // Load calibration markers before the session starts (image tracking is set up with the session)
+  loadTrackedMarkers([{ id: getFloorId() || 'default', url: floorApiUrl('markers') }]).then((result) => {
+    ({ trackedImages, trackedMarkers } = result);
+  });
+
   // Setup Show Nearest button
   const showNearestButton = document.getElementById('show-nearest-button');
   showNearestButton.addEventListener('click', () => {
@@ -98,6 +176,7 @@ function initARSession() {
       showNearestButton.classList.remove('active');
       // Reset all cubes to default green color
       cubes.forEach(cube => {
+        if (cube === selectedCube) return;
         cube.material.color.setHex(0x00ff88);
         cube.material.emissive.setHex(0x004400);
       });
@@ -132,11 +211,11 @@ async function onButtonClick() {
     // Start AR session
     try {
       // Request session with hit-test for better tracking
-      const sessionInit = {
+      const sessionInit = withImageTracking({
         requiredFeatures: ['local-floor'],
         optionalFeatures: ['bounded-floor', 'dom-overlay', 'hit-test'],
         domOverlay: { root: document.getElementById('overlay') }
-      };
+      }, trackedImages);
       
       xrSession = await navigator.xr.requestSession('immersive-ar', sessionInit);
       console.log('AR session started');
@@ -156,6 +235,7 @@ async function onButtonClick() {
 
 function onSessionStarted(session) {
   xrSession.addEventListener('end', onSessionEnded);
+  xrSession.addEventListener('select', onScreenTap);
   renderer.xr.setSession(session);
   
   // Get reference space for hit testing
@@ -188,6 +268,22 @@ function onSessionStarted(session) {
   const storePointsButton = document.getElementById('store-points-button');
   storePointsButton.style.display = 'block';
   
+  // Show Register Marker button when the floor has markers to register
+  const registerMarkerButton = document.getElementById('register-marker-button');
+  registerMarkerButton.style.display = trackedMarkers.length > 0 ? 'block' : 'none';
+  
+  // Show Add Anchor button when AR session starts
+  const addAnchorButton = document.getElementById('add-anchor-button');
+  addAnchorButton.style.display = 'block';
+  
+  // Show Record Walk button when AR session starts
+  const recordWalkButton = document.getElementById('record-walk-button');
+  recordWalkButton.style.display = 'block';
+  
+  // Show Undo and Redo buttons when AR session starts
+  document.getElementById('undo-button').style.display = 'block';
+  document.getElementById('redo-button').style.display = 'block';
+  
   // Show Show Nearest button when AR session starts
   const showNearestButton = document.getElementById('show-nearest-button');
   showNearestButton.style.display = 'block';
@@ -204,6 +300,10 @@ function onSessionEnded() {
   xrSession = null;
   xrHitTestSource = null;
   xrReferenceSpace = null;
+  floorHit = null;
+  floorLevel = null;
+  reticle.visible = false;
+  deselectCube();
   
   const button = document.getElementById('ar-button');
   button.textContent = 'Start AR';
@@ -230,6 +330,29 @@ function onSessionEnded() {
   const storePointsButton = document.getElementById('store-points-button');
   storePointsButton.style.display = 'none';
   
+  // Hide Register Marker button when AR session ends
+  const registerMarkerButton = document.getElementById('register-marker-button');
+  registerMarkerButton.style.display = 'none';
+  visibleMarkers = [];
+  
+  // Hide Add Anchor button when AR session ends
+  const addAnchorButton = document.getElementById('add-anchor-button');
+  addAnchorButton.style.display = 'none';
+  
+  // Stop recording and hide Record Walk button when AR session ends; unsaved edits are kept
+  // until the next Store Points
+  walkState = 'off';
+  walkLastCube = null;
+  walkTrail = [];
+  holdingHeight = undefined;
+  updateRecordWalkButton();
+  const recordWalkButton = document.getElementById('record-walk-button');
+  recordWalkButton.style.display = 'none';
+  
+  // Hide Undo and Redo buttons when AR session ends
+  document.getElementById('undo-button').style.display = 'none';
+  document.getElementById('redo-button').style.display = 'none';
+  
   // Hide Show Nearest button when AR session ends
   const showNearestButton = document.getElementById('show-nearest-button');
   showNearestButton.style.display = 'none';
@@ -249,16 +372,11 @@ function onSessionEnded() {
 function onAddCubeClick() {
   if (!xrSession) return;
   
-  // Create a new cube at the camera (phone) position
-  const geometry = new THREE.BoxGeometry(0.2, 0.2, 0.2);
-  const material = new THREE.MeshStandardMaterial({ 
-    color: 0x00ff88,
-    metalness: 0.5,
-    roughness: 0.3,
-    emissive: 0x004400,
-    emissiveIntensity: 0.3
-  });
-  const newCube = new THREE.Mesh(geometry, material);
+  // On the floor under the reticle when hit testing has found it
+  if (floorHit) {
+    addCubeAt(floorHit.position, 0);
+    return;
+  }
   
   // Get the XR camera position and rotation
   const xrCamera = renderer.xr.getCamera();
@@ -271,20 +389,334 @@ function onAddCubeClick() {
   const offset = new THREE.Vector3(0, 0, -1);
   offset.applyQuaternion(cameraQuaternion);
   
-  // Set absolute world position
-  newCube.position.copy(cameraPosition).add(offset);
+  const position = cameraPosition.add(offset);
+  addCubeAt(position, floorLevel !== null ? Math.max(0, position.y - floorLevel) : undefined);
+}
+
+// Tapping the camera view selects the waypoint tapped on, or finishes moving or linking the
+// selected one. Tapping elsewhere deselects, or without a selection drops a waypoint on the
+// floor under the reticle.
+function onScreenTap(event) {
+  if (movingCube) {
+    finishMove();
+    return;
+  }
+
+  const tapped = cubeAtTap(event);
+  if (linkingCube) {
+    const from = linkingCube;
+    linkingCube = null;
+    updateNodeActions();
+    if (tapped && tapped !== from) {
+      linkCubes(from, tapped);
+    }
+    return;
+  }
+
+  if (tapped) {
+    selectCube(tapped);
+  } else if (selectedCube) {
+    deselectCube();
+  } else if (floorHit) {
+    addCubeAt(floorHit.position, 0);
+  }
+}
+
+// The waypoint closest to the ray of a tap, if the ray passes within SELECT_RADIUS of it
+function cubeAtTap(event) {
+  const pose = event.frame.getPose(event.inputSource.targetRaySpace, renderer.xr.getReferenceSpace());
+  if (!pose) return null;
+
+  const matrix = new THREE.Matrix4().fromArray(pose.transform.matrix);
+  const ray = new THREE.Ray(
+    new THREE.Vector3().setFromMatrixPosition(matrix),
+    new THREE.Vector3(0, 0, -1).transformDirection(matrix)
+  );
+  let nearest = null;
+  let nearestDistance = SELECT_RADIUS;
+  for (const cube of cubes) {
+    const toCube = cube.position.clone().sub(ray.origin);
+    if (!cube.visible || toCube.dot(ray.direction) <= 0) continue;
+    const distance = ray.distanceToPoint(cube.position);
+    if (distance <= nearestDistance) {
+      nearest = cube;
+      nearestDistance = distance;
+    }
+  }
+  return nearest;
+}
+
+function setCubeColor(cube, color, emissive) {
+  cube.material.color.setHex(color);
+  cube.material.emissive.setHex(emissive);
+}
+
+// Select a waypoint and show what can be done with it
+function selectCube(cube) {
+  if (selectedCube && selectedCube !== cube) {
+    setCubeColor(selectedCube, 0x00ff88, 0x004400);
+  }
+  selectedCube = cube;
+  setCubeColor(cube, 0xffff00, 0x666600);
+  updateNodeActions();
+}
+
+function deselectCube() {
+  if (movingCube) {
+    movingCube.cube.position.copy(movingCube.from);
+    movingCube = null;
+  }
+  linkingCube = null;
+  if (selectedCube) {
+    setCubeColor(selectedCube, 0x00ff88, 0x004400);
+    selectedCube = null;
+  }
+  updateNodeActions();
+}
+
+// Title and buttons of the node action bar for the current selection
+function updateNodeActions() {
+  const panel = document.getElementById('node-actions');
+  if (!selectedCube) {
+    panel.style.display = 'none';
+    return;
+  }
+
+  const nodeId = cubeNodeId(selectedCube);
+  const title = document.getElementById('node-actions-title');
+  if (movingCube) {
+    title.textContent = `Moving ${nodeId}: tap to drop it`;
+  } else if (linkingCube) {
+    title.textContent = `Tap the waypoint to link ${nodeId} to`;
+  } else {
+    title.textContent = selectedCube.userData.room ? `${nodeId} · ${selectedCube.userData.room}` : nodeId;
+  }
+  document.getElementById('move-node-button').textContent = movingCube ? 'Cancel Move' : 'Move';
+  document.getElementById('link-node-button').textContent = linkingCube ? 'Cancel Link' : 'Link';
+  panel.style.display = 'flex';
+}
+
+// Make an edit (a map command) on the map and show it; it is saved with the next Store Points.
+// Returns false, after telling why, if it can't be made.
+function edit(command, label) {
+  try {
+    mapHistory.execute(command, label);
+  } catch (error) {
+    if (!(error instanceof MapCommandError)) throw error;
+    alert(error.message);
+    return false;
+  }
+  syncCubes();
+  return true;
+}
+
+// Undo or redo the last edit
+function stepHistory(direction) {
+  if (movingCube) {
+    movingCube.cube.position.copy(movingCube.from);
+    movingCube = null;
+  }
+  linkingCube = null;
+
+  try {
+    const label = direction === 'undo' ? mapHistory.undo() : mapHistory.redo();
+    if (label) {
+      console.log(`${direction === 'undo' ? 'Undone' : 'Redone'}: ${label}`);
+    }
+  } catch (error) {
+    if (!(error instanceof MapCommandError)) throw error;
+    alert(`Can't ${direction}: ${error.message}`);
+  }
+  syncCubes();
+}
+
+function updateHistoryButtons() {
+  const undoButton = document.getElementById('undo-button');
+  const redoButton = document.getElementById('redo-button');
+  undoButton.disabled = !mapHistory.canUndo;
+  undoButton.textContent = mapHistory.canUndo ? `Undo ${mapHistory.undoLabel}` : 'Undo';
+  redoButton.disabled = !mapHistory.canRedo;
+  redoButton.textContent = mapHistory.canRedo ? `Redo ${mapHistory.redoLabel}` : 'Redo';
+
+  const unsaved = mapHistory.pending.length;
+  document.getElementById('store-points-button').textContent = unsaved > 0 ? `Store Points (${unsaved})` : 'Store Points';
+}
+
+// Bring the waypoint cubes in line with the map after an edit, undo, redo or reload
+function syncCubes() {
+  const { cubes: waypoints, roomMapping } = mapHistory.map;
+  const ids = new Set(waypoints.map(cubeData => cubeData.id));
+  for (const cube of cubes.filter(c => !ids.has(cubeNodeId(c)))) {
+    if (cube === selectedCube) {
+      deselectCube();
+    }
+    if (cube === walkLastCube) {
+      forgetWalkCube();
+    }
+    cubes.splice(cubes.indexOf(cube), 1);
+    scene.remove(cube);
+    cube.geometry.dispose();
+    cube.material.dispose();
+  }
+
+  for (const cubeData of waypoints) {
+    let cube = cubes.find(c => cubeNodeId(c) === cubeData.id);
+    if (!cube) {
+      cube = createCube(cubeData);
+      scene.add(cube);
+      cubes.push(cube);
+    } else if (!movingCube || movingCube.cube !== cube) {
+      const position = cubeData.worldPosition;
+      cube.position.set(position.x, position.y, position.z);
+      cube.updateMatrix();
+    }
+    if (cubeData.heightAboveFloor !== undefined) {
+      cube.userData.heightAboveFloor = cubeData.heightAboveFloor;
+    } else {
+      delete cube.userData.heightAboveFloor;
+    }
+    cube.userData.room = roomMapping[cubeData.id] || null;
+  }
+
+  updateNodeActions();
+  updateHistoryButtons();
+}
+
+// Move: the selected waypoint follows the reticle (or hangs 1 m in front of the phone) until
+// the next tap drops it
+function onMoveNodeClick() {
+  if (!selectedCube) return;
+  if (movingCube) {
+    movingCube.cube.position.copy(movingCube.from);
+    movingCube = null;
+  } else {
+    linkingCube = null;
+    movingCube = { cube: selectedCube, from: selectedCube.position.clone() };
+  }
+  updateNodeActions();
+}
+
+// Where a moved waypoint goes this frame: { position, heightAboveFloor }
+function movePlacement() {
+  if (floorHit) {
+    return { position: floorHit.position.clone(), heightAboveFloor: 0 };
+  }
+  const xrCamera = renderer.xr.getCamera();
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  xrCamera.getWorldPosition(position);
+  xrCamera.getWorldQuaternion(quaternion);
+  position.add(new THREE.Vector3(0, 0, -1).applyQuaternion(quaternion));
+  return { position, heightAboveFloor: floorLevel !== null ? Math.max(0, position.y - floorLevel) : undefined };
+}
+
+// Drop the moving waypoint where it is now, which also updates the distances of its edges
+function finishMove() {
+  const { cube, from } = movingCube;
+  const { position, heightAboveFloor } = movePlacement();
+  movingCube = null;
+  cube.position.copy(from);
+  edit({
+    type: 'moveNode',
+    id: cubeNodeId(cube),
+    position: { x: position.x, y: position.y, z: position.z },
+    heightAboveFloor: heightAboveFloor ?? null
+  });
+}
+
+// Room: name the room the selected waypoint belongs to, or clear it
+function onRoomNodeClick() {
+  if (!selectedCube) return;
+  const nodeId = cubeNodeId(selectedCube);
+  const name = prompt(`Room of ${nodeId} (leave empty to remove it):`, selectedCube.userData.room || '');
+  if (name === null) return;
+  edit({ type: 'setRoom', id: nodeId, room: name.trim() || null });
+}
+
+// Link: the next tapped waypoint gets an edge to the selected one
+function onLinkNodeClick() {
+  if (!selectedCube) return;
+  if (movingCube) {
+    movingCube.cube.position.copy(movingCube.from);
+    movingCube = null;
+  }
+  linkingCube = linkingCube ? null : selectedCube;
+  updateNodeActions();
+}
+
+// Add a two-way walkway between two waypoints, unless they are linked already
+function linkCubes(from, to) {
+  const [a, b] = [cubeNodeId(from), cubeNodeId(to)];
+  const edges = mapHistory.map.adjacencyList[a] || [];
+  if (a === b || edges.some(edge => (edge.node || edge) === b && !edge.floor)) return;
+  edit({ type: 'addEdge', from: a, to: b });
+}
+
+// Delete: remove the selected waypoint with its edges and room mapping (Undo brings them back)
+function onDeleteNodeClick() {
+  if (!selectedCube) return;
+  removeCube(selectedCube);
+}
+
+// The cube showing a waypoint of the map
+function createCube(cubeData) {
+  const geometry = new THREE.BoxGeometry(0.2, 0.2, 0.2);
+  const material = new THREE.MeshStandardMaterial({ 
+    color: 0x00ff88,
+    metalness: 0.5,
+    roughness: 0.3,
+    emissive: 0x004400,
+    emissiveIntensity: 0.3
+  });
+  const cube = new THREE.Mesh(geometry, material);
   
-  // Important: Set matrixAutoUpdate to true to ensure proper world-space positioning
-  newCube.matrixAutoUpdate = true;
-  newCube.updateMatrix();
+  // Store the node ID, and the cube number for handing out new IDs
+  cube.userData.nodeId = cubeData.id;
+  const cubeIdMatch = cubeData.id.match(/^cube_(\d+)$/);
+  if (cubeIdMatch) {
+    cube.userData.cubeId = parseInt(cubeIdMatch[1]);
+  }
+  // When it was placed; IDs are reused, so they don't tell
+  cube.userData.placedAt = cubeData.placedAt;
   
-  // Assign the first available ID
-  newCube.userData.cubeId = getNextAvailableId();
+  // Set absolute world position
+  const position = cubeData.worldPosition;
+  cube.position.set(position.x, position.y, position.z);
+  if (cubeData.rotation) {
+    cube.rotation.set(cubeData.rotation.x, cubeData.rotation.y, cubeData.rotation.z);
+  }
   
-  scene.add(newCube);
-  cubes.push(newCube);
+  // Important: Set matrixAutoUpdate to true to ensure proper world-space positioning
+  cube.matrixAutoUpdate = true;
+  cube.updateMatrix();
+  return cube;
+}
+
+// Place a new waypoint cube at a position in world space, with the first available ID.
+// heightAboveFloor is how far above the floor the position is, if known. With linkTo the new
+// waypoint is linked to that one in the same edit.
+function addCubeAt(position, heightAboveFloor, linkTo = null) {
+  const id = `cube_${getNextAvailableId()}`;
+  const addNode = {
+    type: 'addNode',
+    id,
+    position: { x: position.x, y: position.y, z: position.z },
+    // The order waypoints were placed in, for auto-connect; IDs get reused
+    placedAt: Date.now()
+  };
+  if (heightAboveFloor !== undefined) {
+    addNode.heightAboveFloor = heightAboveFloor;
+  }
+  const command = linkTo
+    ? { type: 'batch', commands: [addNode, { type: 'addEdge', from: cubeNodeId(linkTo), to: id }] }
+    : addNode;
+  if (!edit(command, `Add ${id}`)) {
+    return null;
+  }
   
-  console.log('Cube added at position:', newCube.position.toArray(), 'with ID:', newCube.userData.cubeId);
+  const newCube = cubes.find(cube => cubeNodeId(cube) === id);
+  console.log('Cube added at position:', newCube.position.toArray(), 'with ID:', id);
+  return newCube;
 }
 
 // Function to find the first available cube ID
@@ -316,83 +748,172 @@ function onRemoveCubeClick() {
     return;
   }
   
-  // Get the last cube from the array
-  const lastCube = cubes.pop();
-  
-  // Get the cube ID before removing
-  const cubeId = `cube_${lastCube.userData.cubeId}`;
-  
-  // Remove it from the scene
-  scene.remove(lastCube);
-  
-  // Dispose of geometry and material to free up memory
-  lastCube.geometry.dispose();
-  lastCube.material.dispose();
+  // The selected waypoint, or else the last one placed
+  removeCube(selectedCube || cubes[cubes.length - 1]);
+}
+
+function removeCube(cube) {
+  const nodeId = cubeNodeId(cube);
   
-  console.log('Cube removed:', cubeId, 'Remaining cubes:', cubes.length);
+  // A removed waypoint leaves the walk, which goes on from the waypoint recorded before it
+  if (cube === walkLastCube) {
+    const neighbours = (mapHistory.map.adjacencyList[nodeId] || []).map(edge => edge.node || edge);
+    const previous = cubes
+      .filter(c => neighbours.includes(cubeNodeId(c)))
+      .sort((a, b) => (b.userData.placedAt ?? 0) - (a.userData.placedAt ?? 0))[0];
+    if (previous) {
+      walkLastCube = previous;
+      walkTrail = [];
+    } else {
+      forgetWalkCube();
+    }
+  }
   
-  // Remove from server-side files (graph adjacency and room mapping)
-  removeCubeFromServer(cubeId);
+  // Its edges, room mapping and POI entrances go with it until the removal is undone
+  if (edit({ type: 'deleteNode', id: nodeId })) {
+    console.log('Cube removed:', nodeId, 'Remaining cubes:', cubes.length);
+  }
 }
 
-async function removeCubeFromServer(nodeId) {
-  try {
-    // Load graph adjacency list
-    const graphResponse = await fetch('/api/graph');
-    let adjacencyList = {};
-    if (graphResponse.ok) {
-      const graphData = await graphResponse.json();
-      adjacencyList = graphData.adjacencyList || {};
-    }
-    
-    // Remove node's own adjacency list
-    if (adjacencyList[nodeId]) {
-      delete adjacencyList[nodeId];
+function updateRecordWalkButton() {
+  const recordWalkButton = document.getElementById('record-walk-button');
+  const labels = { off: 'Record Walk', recording: 'Pause Walk', paused: 'Resume Walk' };
+  recordWalkButton.textContent = labels[walkState];
+  recordWalkButton.classList.toggle('active', walkState === 'recording');
+}
+
+function cubeNodeId(cube) {
+  return cube.userData.nodeId;
+}
+
+function horizontalDistance(a, b) {
+  return Math.hypot(b.x - a.x, b.z - a.z);
+}
+
+// The point on the floor under the phone
+function floorPointBelowCamera() {
+  const cameraPosition = new THREE.Vector3();
+  renderer.xr.getCamera().getWorldPosition(cameraPosition);
+  return new THREE.Vector3(cameraPosition.x, cameraPosition.y - holdingHeight, cameraPosition.z);
+}
+
+// The waypoint nearest to a floor point within maxDistance and on the same level, or null
+function nearestCube(point, maxDistance, except = null) {
+  let nearest = null;
+  let nearestDistance = maxDistance;
+  for (const cube of cubes) {
+    if (cube === except || Math.abs(cube.position.y - point.y) > WALK_MAX_HEIGHT_DIFFERENCE) continue;
+    const distance = horizontalDistance(cube.position, point);
+    if (distance <= nearestDistance) {
+      nearest = cube;
+      nearestDistance = distance;
     }
-    
-    // Remove node from other nodes' adjacency lists
-    for (const node in adjacencyList) {
-      adjacencyList[node] = adjacencyList[node].filter(edge => {
-        const neighbor = edge.node || edge;
-        return neighbor !== nodeId;
-      });
-      
-      // Clean up empty adjacency lists
-      if (adjacencyList[node].length === 0) {
-        delete adjacencyList[node];
+  }
+  return nearest;
+}
+
+// Record Walk: start, pause or resume dropping waypoints along the walk
+function onRecordWalkClick() {
+  if (!xrSession) return;
+
+  if (!referenceAnchor) {
+    alert('Please calibrate reference position first!\n\nClick "Calibrate Position" to set the world origin.');
+    return;
+  }
+
+  if (walkState === 'recording') {
+    walkState = 'paused';
+    walkTrail = [];
+    updateRecordWalkButton();
+    console.log(`Walk paused, ${mapHistory.pending.length} edits waiting for Store Points`);
+    return;
+  }
+
+  // How high the phone is held above the floor found by hit testing, or else above y = 0, where
+  // local-floor puts the floor the session started on; measured once, then followed along ramps
+  if (holdingHeight === undefined) {
+    const cameraPosition = new THREE.Vector3();
+    renderer.xr.getCamera().getWorldPosition(cameraPosition);
+    const height = cameraPosition.y - (floorLevel !== null ? floorLevel : 0);
+    holdingHeight = height >= 0.8 && height <= 2 ? height : DEFAULT_HOLDING_HEIGHT;
+  }
+
+  // Continue from a waypoint we're standing at: the one we paused at, or a junction to branch
+  // off from. Anywhere else the walk starts a new chain.
+  const start = floorPointBelowCamera();
+  const junction = nearestCube(start, WALK_JOIN_DISTANCE);
+  if (junction) {
+    walkLastCube = junction;
+    console.log(`Walk continues from ${cubeNodeId(junction)}`);
+  } else {
+    walkLastCube = addCubeAt(start, 0);
+    console.log(`Walk starts at new waypoint ${cubeNodeId(walkLastCube)}`);
+  }
+  walkTrail = [];
+  walkState = 'recording';
+  updateRecordWalkButton();
+}
+
+// Drop a waypoint on the walk and chain it to the previous one
+function placeWalkCube(point) {
+  const cube = addCubeAt(point, 0, walkLastCube);
+  if (cube) {
+    walkLastCube = cube;
+  }
+}
+
+// Called every frame while recording: follow the walk and drop waypoints at turns and every
+// WALK_SPACING metres
+function updateWalkRecording() {
+  const point = floorPointBelowCamera();
+  const last = walkLastCube.position;
+
+  // Walking past an existing waypoint links the walk into it
+  const passing = nearestCube(point, WALK_SNAP_DISTANCE, walkLastCube);
+  if (passing) {
+    linkCubes(walkLastCube, passing);
+    walkLastCube = passing;
+    walkTrail = [];
+    return;
+  }
+
+  const previous = walkTrail.length > 0 ? walkTrail[walkTrail.length - 1] : last;
+  if (horizontalDistance(previous, point) >= WALK_TRAIL_STEP) {
+    walkTrail.push(point);
+  }
+
+  // The trail point farthest from the straight line from the last waypoint to here
+  const direction = new THREE.Vector2(point.x - last.x, point.z - last.z);
+  const length = direction.length();
+  let corner = -1;
+  let cornerOffset = WALK_CORNER_TOLERANCE;
+  if (length > 0) {
+    walkTrail.forEach((trailPoint, index) => {
+      const offset = Math.abs(direction.x * (trailPoint.z - last.z) - direction.y * (trailPoint.x - last.x)) / length;
+      if (offset > cornerOffset) {
+        corner = index;
+        cornerOffset = offset;
       }
-    }
-    
-    // Save updated graph
-    await fetch('/api/graph', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ adjacencyList })
     });
-    
-    // Load and update room mappings
-    const roomsResponse = await fetch('/api/rooms');
-    let roomMapping = {};
-    if (roomsResponse.ok) {
-      const roomsData = await roomsResponse.json();
-      roomMapping = roomsData.roomMapping || {};
-    }
-    
-    // Remove from room mapping
-    if (roomMapping[nodeId]) {
-      delete roomMapping[nodeId];
-      
-      // Save updated room mappings
-      await fetch('/api/rooms', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ roomMapping })
-      });
-    }
-    
-    console.log(`Removed ${nodeId} from graph and room mappings`);
-  } catch (error) {
-    console.error('Error removing cube from server:', error);
+  }
+
+  if (corner !== -1) {
+    placeWalkCube(walkTrail[corner]);
+    walkTrail = walkTrail.slice(corner + 1);
+  } else if (horizontalDistance(last, point) >= WALK_SPACING) {
+    placeWalkCube(point);
+    walkTrail = [];
+  }
+}
+
+// The waypoint the walk is chained to is gone (undone, or reloaded without it): pause until the
+// walk is resumed next to a waypoint
+function forgetWalkCube() {
+  walkLastCube = null;
+  walkTrail = [];
+  if (walkState === 'recording') {
+    walkState = 'paused';
+    updateRecordWalkButton();
   }
 }
 
@@ -406,7 +927,7 @@ function onCalibrateClick() {
   xrCamera.getWorldPosition(cameraPosition);
   xrCamera.getWorldQuaternion(cameraQuaternion);
 
-  referenceAnchor = {
+  applyCalibration({
     position: {
       x: cameraPosition.x,
       y: cameraPosition.y,
@@ -418,10 +939,29 @@ function onCalibrateClick() {
       z: cameraQuaternion.z,
       w: cameraQuaternion.w
     }
-  };
-
+  });
   console.log('✅ Calibration captured at phone position:', referenceAnchor.position);
   console.log('✅ Phone orientation:', referenceAnchor.orientation);
+}
+
+// Calibrate from a registered marker as soon as the camera sees one
+function calibrateFromMarker() {
+  const visible = visibleMarkers.find(({ marker }) => marker.pose);
+  if (!visible) return;
+
+  applyCalibration(anchorFromMarker(visible.marker, visible.position, visible.quaternion));
+  console.log('✅ Calibrated from marker', visible.marker.id, 'anchor at:', referenceAnchor.position);
+}
+
+function applyCalibration(anchor) {
+  // Drop the phone's pitch and roll so waypoints stay level
+  rejectedTilt = 0;
+  if (alignmentMode === 'yaw') {
+    ({ pose: anchor, rejectedTilt } = levelPose(anchor));
+    console.log(`Levelled calibration: rejected ${rejectedTilt.toFixed(1)}° of pitch/roll`);
+  }
+  referenceAnchor = anchor;
+  const anchorPosition = new THREE.Vector3(anchor.position.x, anchor.position.y, anchor.position.z);
   
   // Add visual marker at calibration point for reference
   if (!originMarker) {
@@ -435,8 +975,8 @@ function onCalibrateClick() {
     scene.add(axesHelper);
   }
   
-  // Update marker to current camera position
-  originMarker.position.copy(cameraPosition);
+  // Update marker to the anchor position
+  originMarker.position.copy(anchorPosition);
   
   // Update status
   updateCalibrationStatus(true);
@@ -447,6 +987,78 @@ function onCalibrateClick() {
   }, 1000);
 }
 
+// Save where the marker in view hangs relative to the reference anchor, so later sessions
+// can calibrate from it
+async function onRegisterMarkerClick() {
+  if (!xrSession) return;
+
+  if (!referenceAnchor) {
+    alert('Please calibrate reference position first!\n\nThe marker is registered relative to the world origin.');
+    return;
+  }
+  if (visibleMarkers.length === 0) {
+    alert('No marker in view.\n\nPoint the camera at a printed marker and try again.');
+    return;
+  }
+
+  const { marker, position, quaternion } = visibleMarkers[0];
+  const pose = markerPoseFromAnchor(referenceAnchor, position, quaternion);
+
+  try {
+    await updateDocument('markers', (data) => {
+      const saved = (data.markers || []).find(m => m.id === marker.id);
+      if (!saved) {
+        throw new Error(`Marker ${marker.id} is no longer registered on this floor`);
+      }
+      saved.pose = pose;
+    });
+
+    marker.pose = pose;
+    console.log('Registered marker', marker.id, 'at', pose.position);
+    alert(`Registered marker ${marker.id}!`);
+  } catch (error) {
+    console.error('Error registering marker:', error);
+    alert('Failed to register marker: ' + error.message);
+  }
+}
+
+// Survey the spot the user is standing on as an anchor point, so navigators can re-anchor there
+// mid-route. Mark the spot on the floor and give it a name they can recognise.
+async function onAddAnchorClick() {
+  if (!xrSession) return;
+
+  if (!referenceAnchor) {
+    alert('Please calibrate reference position first!\n\nAnchor points are stored relative to the world origin.');
+    return;
+  }
+
+  const name = prompt('Name of this anchor point (e.g. "Lift lobby"):');
+  if (!name) return;
+
+  const xrCamera = renderer.xr.getCamera();
+  const cameraPosition = new THREE.Vector3();
+  xrCamera.getWorldPosition(cameraPosition);
+
+  try {
+    await updateDocument('anchors', (data) => {
+      const anchors = data.anchors || [];
+
+      let nextId = 0;
+      while (anchors.some(anchor => anchor.id === `anchor_${nextId}`)) {
+        nextId++;
+      }
+      anchors.push({ id: `anchor_${nextId}`, name, position: sessionToAnchor(referenceAnchor, cameraPosition) });
+      return { ...data, anchors };
+    });
+
+    console.log('Added anchor point', name, 'at', cameraPosition);
+    alert(`Added anchor point "${name}"!`);
+  } catch (error) {
+    console.error('Error adding anchor point:', error);
+    alert('Failed to add anchor point: ' + error.message);
+  }
+}
+
 function onStorePointsClick() {
   if (!xrSession) return;
   
@@ -454,171 +1066,104 @@ function onStorePointsClick() {
   saveCubePositions();
 }
 
+// Send the edits made since the last Store Points to the server in one go. They are applied to the
+// latest map there, so edits someone else saved in the meantime are kept.
 async function saveCubePositions() {
   if (!referenceAnchor) {
     alert('Please calibrate reference position first!\n\nClick "Calibrate Position" to set the world origin.');
     return;
   }
   
-  // Save positions relative to world origin (not camera position)
-  const cubeData = cubes.map((cube) => {
-    const cubeId = cube.userData.cubeId !== undefined ? cube.userData.cubeId : 0;
-    return {
-      id: `cube_${cubeId}`,
-      worldPosition: {
-        x: cube.position.x,
-        y: cube.position.y,
-        z: cube.position.z
-      },
-      offsetFromQR: {
-        x: cube.position.x,
-        y: cube.position.y,
-        z: cube.position.z
-      },
-      rotation: {
-        x: cube.rotation.x,
-        y: cube.rotation.y,
-        z: cube.rotation.z
-      }
-    };
-  });
+  const commands = mapHistory.pending.slice();
+  if (commands.length === 0) {
+    alert('Nothing to save: no changes since the last Store Points.');
+    return;
+  }
   
-  const dataToStore = {
-    timestamp: new Date().toISOString(),
-    cubeCount: cubes.length,
-    referenceAnchor: referenceAnchor,
-    cubes: cubeData
-  };
+  // Positions are stored in the frame of the waypoints already on the server; the first
+  // waypoints of a floor are stored next to this session's reference anchor
+  const alignment = { yawOnly: alignmentMode === 'yaw' };
+  const stored = positionsAnchor
+    ? commands.map(command => mapCommandPositions(command, point => sessionPointToSaved(positionsAnchor, referenceAnchor, point, alignment)))
+    : commands;
   
   try {
-    // Save to server
-    const response = await fetch(API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(dataToStore)
-    });
+    const revisions = await saveEdits(stored, { referenceAnchor: positionsAnchor ? undefined : referenceAnchor });
+    mapHistory.saved(commands.length);
+    positionsAnchor = positionsAnchor || referenceAnchor;
+    updateHistoryButtons();
     
-    if (response.ok) {
-      console.log('Cube positions saved to server:', dataToStore);
-      alert(`Saved ${cubes.length} cube positions to server!`);
-    } else {
-      throw new Error('Failed to save positions');
-    }
+    console.log('Edits saved to server:', commands, revisions);
+    alert(`Saved ${commands.length} changes to the server (${cubes.length} waypoints)!`);
   } catch (error) {
-    console.error('Error saving cube positions:', error);
-    alert('Failed to save positions to server');
+    console.error('Error saving edits:', error);
+    alert(`Failed to save changes to server: ${error.message}\n\nThey are kept; Store Points again to retry.`);
   }
 }
 
+// A positions document with its waypoints moved into the current session's frame, where the
+// map is edited
+function positionsInSession(data) {
+  const alignment = { yawOnly: alignmentMode === 'yaw' };
+  return {
+    ...data,
+    referenceAnchor,
+    cubes: (data.cubes || []).map(cubeData => {
+      const position = savedPointToSession(data.referenceAnchor, referenceAnchor, cubeData.worldPosition, alignment);
+      // The cubes spin for show, so rotations saved from them may have grown
+      const rotation = wrapRotation(cubeData.rotation || { x: 0, y: 0, z: 0 });
+      return { ...cubeData, worldPosition: position, offsetFromQR: position, rotation };
+    })
+  };
+}
+
 async function loadCubePositions() {
+  // Check if calibration is needed
+  if (!referenceAnchor) {
+    console.log('Reference position not calibrated yet. Please calibrate first.');
+    return;
+  }
+  const unsaved = mapHistory.pending.length;
+  if (unsaved > 0 && !confirm(`Reload the map and discard ${unsaved} changes not stored yet?`)) {
+    return;
+  }
+
   try {
     // Load from server
-    const response = await fetch(API_URL);
-    
-    if (!response.ok) {
-      throw new Error('Failed to load positions');
-    }
-    
-    const data = await response.json();
+    const [positions, graph, rooms, pois] = await Promise.all(['positions', 'graph', 'rooms', 'pois'].map(name => loadDocument(name)));
+    const data = positions.data;
     console.log('Loading cube positions:', data);
-    
-    if (!data.cubes || data.cubes.length === 0) {
-      console.log('No cubes to load');
-      return;
-    }
-    
-    // Check if calibration is needed
-    if (!referenceAnchor) {
-      console.log('Reference position not calibrated yet. Please calibrate first.');
-      return;
+
+    // Saved positions are relative to the reference anchor of the session that stored them
+    const alignment = { yawOnly: alignmentMode === 'yaw' };
+    if (alignment.yawOnly && data.referenceAnchor && data.referenceAnchor.orientation) {
+      const { rejectedTilt: savedTilt } = levelPose(data.referenceAnchor);
+      console.log(`Saved calibration had ${savedTilt.toFixed(1)}° of pitch/roll, ignored`);
     }
+    positionsAnchor = data.referenceAnchor || null;
     
     // Clear existing cubes first
+    deselectCube();
     cubes.forEach(cube => {
       scene.remove(cube);
       cube.geometry.dispose();
       cube.material.dispose();
     });
     cubes = [];
-    
-    // Cached reference anchors and orientations (for both translation + rotation alignment)
-    const savedRefPos = (data.referenceAnchor && data.referenceAnchor.position) ? data.referenceAnchor.position : { x: 0, y: 0, z: 0 };
-    const savedRefQuat = (data.referenceAnchor && data.referenceAnchor.orientation)
-      ? new THREE.Quaternion(
-          data.referenceAnchor.orientation.x,
-          data.referenceAnchor.orientation.y,
-          data.referenceAnchor.orientation.z,
-          data.referenceAnchor.orientation.w
-        )
-      : null;
-
-    const userRefPos = referenceAnchor && referenceAnchor.position ? referenceAnchor.position : { x: 0, y: 0, z: 0 };
-    const userRefQuat = (referenceAnchor && referenceAnchor.orientation)
-      ? new THREE.Quaternion(
-          referenceAnchor.orientation.x,
-          referenceAnchor.orientation.y,
-          referenceAnchor.orientation.z,
-          referenceAnchor.orientation.w
-        )
-      : null;
-
-    // Rotation delta from saved reference to current calibration (if orientations exist)
-    const deltaQuat = (savedRefQuat && userRefQuat)
-      ? userRefQuat.clone().multiply(savedRefQuat.clone().invert())
-      : null;
 
     // Recreate cubes aligned to current calibration (translation + optional rotation)
-    data.cubes.forEach(cubeData => {
-      const geometry = new THREE.BoxGeometry(0.2, 0.2, 0.2);
-      const material = new THREE.MeshStandardMaterial({ 
-        color: 0x00ff88,
-        metalness: 0.5,
-        roughness: 0.3,
-        emissive: 0x004400,
-        emissiveIntensity: 0.3
-      });
-      const cube = new THREE.Mesh(geometry, material);
-      
-      // Extract and store the cube ID from the saved data
-      const cubeIdMatch = cubeData.id.match(/cube_(\d+)/);
-      if (cubeIdMatch) {
-        cube.userData.cubeId = parseInt(cubeIdMatch[1]);
-      }
-      
-      // Translate to saved reference frame
-      const relativePos = new THREE.Vector3(
-        cubeData.worldPosition.x - savedRefPos.x,
-        cubeData.worldPosition.y - savedRefPos.y,
-        cubeData.worldPosition.z - savedRefPos.z
-      );
-
-      // Rotate from saved reference orientation into user calibration orientation
-      if (deltaQuat) {
-        relativePos.applyQuaternion(deltaQuat);
+    const walkLastId = walkLastCube ? cubeNodeId(walkLastCube) : null;
+    walkLastCube = null;
+    mapHistory.reset(floorMap({ positions: positionsInSession(data), graph: graph.data, rooms: rooms.data, pois: pois.data }));
+    syncCubes();
+    
+    // Keep recording the walk from the reloaded copy of its last waypoint
+    if (walkLastId) {
+      walkLastCube = cubes.find(cube => cubeNodeId(cube) === walkLastId) || null;
+      if (!walkLastCube) {
+        forgetWalkCube();
       }
-
-      // Translate into current user reference frame
-      cube.position.set(
-        relativePos.x + userRefPos.x,
-        relativePos.y + userRefPos.y,
-        relativePos.z + userRefPos.z
-      );
-      
-      // Set rotation from stored data
-      cube.rotation.set(
-        cubeData.rotation.x,
-        cubeData.rotation.y,
-        cubeData.rotation.z
-      );
-      
-      cube.matrixAutoUpdate = true;
-      cube.updateMatrix();
-      
-      scene.add(cube);
-      cubes.push(cube);
-    });
+    }
     
     console.log(`Loaded ${cubes.length} cubes with calibration`);
     if (cubes.length > 0) {
@@ -636,6 +1181,35 @@ function onWindowResize() {
 }
 
 function render(timestamp, frame) {
+  // Look for calibration markers in the camera feed
+  if (xrSession && trackedMarkers.length > 0) {
+    visibleMarkers = getVisibleMarkers(frame, renderer.xr.getReferenceSpace(), trackedMarkers);
+    if (!referenceAnchor) {
+      calibrateFromMarker();
+    }
+  }
+
+  // Follow the floor under the reticle
+  if (xrSession && xrHitTestSource) {
+    const cameraPosition = new THREE.Vector3();
+    renderer.xr.getCamera().getWorldPosition(cameraPosition);
+    floorHit = findFloorHit(frame, xrHitTestSource, renderer.xr.getReferenceSpace(), cameraPosition);
+    if (floorHit) {
+      floorLevel = floorHit.position.y;
+      reticle.position.copy(floorHit.position);
+    }
+    reticle.visible = Boolean(floorHit);
+  }
+
+  if (walkState === 'recording' && walkLastCube) {
+    updateWalkRecording();
+  }
+
+  // A waypoint being moved follows the reticle
+  if (movingCube) {
+    movingCube.cube.position.copy(movePlacement().position);
+  }
+
   // Rotate all cubes for a nice floating effect
   cubes.forEach(cube => {
     cube.rotation.x += 0.01;
@@ -663,9 +1237,11 @@ function render(timestamp, frame) {
       }
     });
 
-    // Update colors: nearest cube = red, others = green
+    // Update colors: nearest cube = red, others = green, the selected one stays yellow
     cubes.forEach(cube => {
-      if (cube === nearestCube) {
+      if (cube === selectedCube) {
+        return;
+      } else if (cube === nearestCube) {
         cube.material.color.setHex(0xff0000); // Red for nearest
         cube.material.emissive.setHex(0x660000);
       } else {
@@ -681,8 +1257,13 @@ function render(timestamp, frame) {
 function updateCalibrationStatus(isCalibrated) {
   const calibrationStatus = document.getElementById('calibration-status');
   if (isCalibrated && referenceAnchor) {
-    calibrationStatus.textContent = 'World Origin Set - Positions Locked';
+    calibrationStatus.textContent = rejectedTilt >= 0.5
+      ? `World Origin Set - Positions Locked (levelled ${rejectedTilt.toFixed(1)}°)`
+      : 'World Origin Set - Positions Locked';
     calibrationStatus.className = 'active';
+  } else if (trackedMarkers.some(marker => marker.pose)) {
+    calibrationStatus.textContent = 'Point at a Marker or Click Calibrate';
+    calibrationStatus.className = 'inactive';
   } else {
     calibrationStatus.textContent = 'Click Calibrate to Initialize';
     calibrationStatus.className = 'inactive';
@@ -0,0 +1,432 @@
+// Edits of a floor's map as commands that can be undone, shared by the surveying app, the waypoint
+// editor and the server (POST /edits); no Node or DOM APIs.
+//
+// A command is plain JSON, e.g. { type: 'addEdge', from: 'cube_1', to: 'cube_2' }, and works on
+// the map of one floor: { cubes, adjacencyList, roomMapping, pois } as stored in the positions,
+// graph, rooms and pois documents. applyCommand() changes the map in place and returns the command
+// that undoes it, so undoing a deletion brings the waypoint back with its edges, room and POI
+// entrances as they were.
+//
+//   addNode     { id, position, heightAboveFloor?, rotation?, placedAt? }
+//   moveNode    { id, position, heightAboveFloor? }   heightAboveFloor: null forgets it
+//   deleteNode  { id }
+//   restoreNode { id, cube, index, edges, room, entrances }   the undo of deleteNode
+//   addEdge     { from, to, edgeType?, distance?, width?, slope?, bidirectional? }
+//   removeEdge  { from, to, bidirectional? }
+//   setEdges    { from, to, forward?, backward? }   the undo of both edge commands; null removes
+//   setRoom     { id, room }   room: null removes the mapping
+//   batch       { label?, commands }   applied together, undone together
+import { EDGE_TYPES } from './graph.js';
+
+// How many edits the surveyor can step back
+const UNDO_LIMIT = 100;
+
+// A command that can't be applied to the map, e.g. deleting a waypoint someone else already
+// deleted. status is the HTTP status the server answers with.
+export class MapCommandError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'MapCommandError';
+    this.status = status;
+  }
+}
+
+function isPoint(p) {
+  return p && ['x', 'y', 'z'].every(axis => Number.isFinite(p[axis]));
+}
+
+function findCube(map, id) {
+  return map.cubes.find(cube => cube.id === id);
+}
+
+function requireCube(map, id) {
+  const cube = findCube(map, id);
+  if (!cube) {
+    throw new MapCommandError(404, `Node ${id} not found`);
+  }
+  return cube;
+}
+
+function distanceBetween(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z);
+}
+
+// The edge from a to b on this floor, or null. Edges with a floor lead to another floor.
+function floorEdge(adjacencyList, a, b) {
+  return (adjacencyList[a] || []).find(edge => (edge.node || edge) === b && !edge.floor) || null;
+}
+
+// Replace the edge from a to b on this floor (null removes it); returns the edge it replaced
+function replaceFloorEdge(adjacencyList, a, b, edge) {
+  const previous = floorEdge(adjacencyList, a, b);
+  const edges = (adjacencyList[a] || []).filter(e => (e.node || e) !== b || e.floor);
+  if (edge) {
+    edges.push(typeof edge === 'object' ? { ...edge } : edge);
+  }
+  if (edges.length > 0) {
+    adjacencyList[a] = edges;
+  } else {
+    delete adjacencyList[a];
+  }
+  return previous;
+}
+
+function addNode(map, { id, position, heightAboveFloor, rotation, placedAt }) {
+  if (typeof id !== 'string' || !id) {
+    throw new MapCommandError(400, 'addNode needs an id');
+  }
+  if (!isPoint(position)) {
+    throw new MapCommandError(400, `Node ${id} needs a position with numeric x, y and z`);
+  }
+  if (findCube(map, id)) {
+    throw new MapCommandError(409, `Node ${id} already exists`);
+  }
+
+  const point = { x: position.x, y: position.y, z: position.z };
+  const cube = { id, worldPosition: point, offsetFromQR: { ...point }, rotation: rotation || { x: 0, y: 0, z: 0 } };
+  if (Number.isFinite(heightAboveFloor)) {
+    cube.heightAboveFloor = heightAboveFloor;
+  }
+  if (Number.isFinite(placedAt)) {
+    cube.placedAt = placedAt;
+  }
+  map.cubes.push(cube);
+  return { type: 'deleteNode', id };
+}
+
+function moveNode(map, { id, position, heightAboveFloor }) {
+  if (!isPoint(position)) {
+    throw new MapCommandError(400, `Node ${id} needs a position with numeric x, y and z`);
+  }
+  const cube = requireCube(map, id);
+  const undo = {
+    type: 'moveNode',
+    id,
+    position: { ...cube.worldPosition },
+    heightAboveFloor: cube.heightAboveFloor ?? null
+  };
+
+  const point = { x: position.x, y: position.y, z: position.z };
+  cube.worldPosition = point;
+  cube.offsetFromQR = { ...point };
+  if (heightAboveFloor === null) {
+    delete cube.heightAboveFloor;
+  } else if (heightAboveFloor !== undefined) {
+    cube.heightAboveFloor = heightAboveFloor;
+  }
+
+  // Keep the distances of the node's edges on this floor in step with its position, as
+  // PUT /nodes/:id does
+  const located = new Map(map.cubes.map(c => [c.id, c.worldPosition]));
+  for (const [from, edges] of Object.entries(map.adjacencyList)) {
+    for (const edge of edges) {
+      const to = edge.node || edge;
+      if (edge.floor || typeof edge !== 'object' || (from !== id && to !== id)) continue;
+      if (located.has(from) && located.has(to)) {
+        edge.distance = distanceBetween(located.get(from), located.get(to));
+      }
+    }
+  }
+  return undo;
+}
+
+function deleteNode(map, { id }) {
+  const index = map.cubes.findIndex(cube => cube.id === id);
+  const cube = index === -1 ? null : map.cubes.splice(index, 1)[0];
+
+  // Every edge that goes away, to put back on undo: the node's own and those leading to it.
+  // Edges with a floor point at a node on another floor that happens to share the ID.
+  const edges = (map.adjacencyList[id] || []).map(edge => ({ from: id, edge }));
+  delete map.adjacencyList[id];
+  for (const node of Object.keys(map.adjacencyList)) {
+    const kept = [];
+    for (const edge of map.adjacencyList[node]) {
+      if ((edge.node || edge) === id && !edge.floor) {
+        edges.push({ from: node, edge });
+      } else {
+        kept.push(edge);
+      }
+    }
+    if (kept.length > 0) {
+      map.adjacencyList[node] = kept;
+    } else {
+      delete map.adjacencyList[node];
+    }
+  }
+
+  const room = map.roomMapping[id] ?? null;
+  delete map.roomMapping[id];
+
+  const entrances = [];
+  for (const poi of map.pois) {
+    const entrance = (poi.entrances || []).indexOf(id);
+    if (entrance !== -1) {
+      poi.entrances = poi.entrances.filter(nodeId => nodeId !== id);
+      entrances.push({ poi: poi.id, index: entrance });
+    }
+  }
+
+  if (!cube && edges.length === 0 && room === null && entrances.length === 0) {
+    throw new MapCommandError(404, `Node ${id} not found`);
+  }
+  return { type: 'restoreNode', id, cube, index, edges, room, entrances };
+}
+
+function restoreNode(map, { id, cube, index, edges = [], room = null, entrances = [] }) {
+  if (cube) {
+    if (findCube(map, id)) {
+      throw new MapCommandError(409, `Node ${id} already exists`);
+    }
+    map.cubes.splice(Math.min(index ?? map.cubes.length, map.cubes.length), 0, JSON.parse(JSON.stringify(cube)));
+  }
+
+  for (const { from, edge } of edges) {
+    const list = map.adjacencyList[from] || [];
+    const to = edge.node || edge;
+    if (!list.some(e => (e.node || e) === to && (e.floor || null) === (edge.floor || null))) {
+      list.push(typeof edge === 'object' ? { ...edge } : edge);
+    }
+    map.adjacencyList[from] = list;
+  }
+
+  if (room !== null) {
+    map.roomMapping[id] = room;
+  }
+  for (const { poi: poiId, index: entrance } of entrances) {
+    const poi = map.pois.find(p => p.id === poiId);
+    if (poi && !(poi.entrances || []).includes(id)) {
+      poi.entrances = [...(poi.entrances || [])];
+      poi.entrances.splice(Math.min(entrance, poi.entrances.length), 0, id);
+    }
+  }
+  return { type: 'deleteNode', id };
+}
+
+function addEdge(map, { from, to, edgeType, distance, width, slope, bidirectional = true }) {
+  if (from === to) {
+    throw new MapCommandError(400, 'Edge must link two different nodes');
+  }
+  if (edgeType !== undefined && !EDGE_TYPES[edgeType]) {
+    throw new MapCommandError(400, `Unknown edge type: ${edgeType}`);
+  }
+  for (const [name, value] of Object.entries({ distance, width, slope })) {
+    if (value !== undefined && !(Number.isFinite(value) && value >= 0)) {
+      throw new MapCommandError(400, `${name} must be a non-negative number`);
+    }
+  }
+  const a = requireCube(map, from);
+  const b = requireCube(map, to);
+
+  // Plain walkways keep the original { node, distance } format
+  const attributes = { distance: distance ?? distanceBetween(a.worldPosition, b.worldPosition) };
+  if (edgeType && edgeType !== 'walk') attributes.type = edgeType;
+  if (width !== undefined) attributes.width = width;
+  if (slope !== undefined) attributes.slope = slope;
+
+  const undo = { type: 'setEdges', from, to };
+  undo.forward = replaceFloorEdge(map.adjacencyList, from, to, { node: to, ...attributes });
+  if (bidirectional) {
+    undo.backward = replaceFloorEdge(map.adjacencyList, to, from, { node: from, ...attributes });
+  }
+  return undo;
+}
+
+function removeEdge(map, { from, to, bidirectional = true }) {
+  const undo = { type: 'setEdges', from, to };
+  undo.forward = replaceFloorEdge(map.adjacencyList, from, to, null);
+  if (bidirectional) {
+    undo.backward = replaceFloorEdge(map.adjacencyList, to, from, null);
+  }
+  if (!undo.forward && !undo.backward) {
+    throw new MapCommandError(404, `No edge between ${from} and ${to}`);
+  }
+  return undo;
+}
+
+function setEdges(map, { from, to, forward, backward }) {
+  const undo = { type: 'setEdges', from, to };
+  if (forward !== undefined) {
+    undo.forward = replaceFloorEdge(map.adjacencyList, from, to, forward);
+  }
+  if (backward !== undefined) {
+    undo.backward = replaceFloorEdge(map.adjacencyList, to, from, backward);
+  }
+  return undo;
+}
+
+function setRoom(map, { id, room }) {
+  if (room !== null && (typeof room !== 'string' || !room.trim())) {
+    throw new MapCommandError(400, 'room must be a name or null');
+  }
+  const undo = { type: 'setRoom', id, room: map.roomMapping[id] ?? null };
+  if (room === null) {
+    delete map.roomMapping[id];
+  } else {
+    map.roomMapping[id] = room.trim();
+  }
+  return undo;
+}
+
+function batch(map, { label, commands }) {
+  if (!Array.isArray(commands)) {
+    throw new MapCommandError(400, 'batch needs a list of commands');
+  }
+  const undos = [];
+  try {
+    for (const command of commands) {
+      undos.unshift(applyCommand(map, command));
+    }
+  } catch (error) {
+    // Leave the map as it was
+    for (const undo of undos) {
+      applyCommand(map, undo);
+    }
+    throw error;
+  }
+  return label ? { type: 'batch', label, commands: undos } : { type: 'batch', commands: undos };
+}
+
+const COMMANDS = { addNode, moveNode, deleteNode, restoreNode, addEdge, removeEdge, setEdges, setRoom, batch };
+
+// The map of a floor from its documents, as loaded: { cubes, adjacencyList, roomMapping, pois }
+export function floorMap({ positions = {}, graph = {}, rooms = {}, pois = {} } = {}) {
+  return {
+    cubes: positions.cubes || [],
+    adjacencyList: graph.adjacencyList || {},
+    roomMapping: rooms.roomMapping || {},
+    pois: pois.pois || []
+  };
+}
+
+// Apply a command to the map in place. Returns the command that undoes it; throws a
+// MapCommandError (and leaves the map as it was) if it can't be applied.
+export function applyCommand(map, command) {
+  const apply = command && COMMANDS[command.type];
+  if (!apply) {
+    throw new MapCommandError(400, `Unknown map command: ${command && command.type}`);
+  }
+  return apply(map, command);
+}
+
+// A short description for buttons and revision messages, e.g. 'Delete cube_3'
+export function describeCommand(command) {
+  switch (command.type) {
+    case 'addNode': return `Add ${command.id}`;
+    case 'moveNode': return `Move ${command.id}`;
+    case 'deleteNode': return `Delete ${command.id}`;
+    case 'restoreNode': return `Restore ${command.id}`;
+    case 'addEdge': return `Link ${command.from} ↔ ${command.to}`;
+    case 'removeEdge': return `Unlink ${command.from} ↔ ${command.to}`;
+    case 'setEdges': return `Edge ${command.from} ↔ ${command.to}`;
+    case 'setRoom': return command.room === null ? `Unmap ${command.id}` : `${command.id} → ${command.room}`;
+    case 'batch': return command.label || `${command.commands.length} edits`;
+    default: return command.type;
+  }
+}
+
+// The command with every position passed through convert(point), e.g. from the session's frame
+// into the frame the waypoints are stored in
+export function mapCommandPositions(command, convert) {
+  switch (command.type) {
+    case 'addNode':
+    case 'moveNode':
+      return { ...command, position: convert(command.position) };
+    case 'restoreNode':
+      if (!command.cube) return command;
+      return {
+        ...command,
+        cube: { ...command.cube, worldPosition: convert(command.cube.worldPosition), offsetFromQR: convert(command.cube.worldPosition) }
+      };
+    case 'batch':
+      return { ...command, commands: command.commands.map(c => mapCommandPositions(c, convert)) };
+    default:
+      return command;
+  }
+}
+
+// Multi-level undo and redo of the edits made to a map through commands. Every edit, undo and
+// redo is also queued in pending, the commands applied since the last save, so all of them can be
+// sent to POST /edits together.
+export class EditHistory {
+  constructor(map) {
+    this.map = map;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.pending = [];
+  }
+
+  get canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  // What undo() and redo() would change, for their buttons, or null
+  get undoLabel() {
+    return this.canUndo ? this.undoStack[this.undoStack.length - 1].label : null;
+  }
+
+  get redoLabel() {
+    return this.canRedo ? this.redoStack[this.redoStack.length - 1].label : null;
+  }
+
+  // Apply a new edit; throws a MapCommandError if it can't be applied. Returns its undo command.
+  execute(command, label = describeCommand(command)) {
+    const inverse = applyCommand(this.map, command);
+    this.undoStack.push({ label, command, inverse });
+    if (this.undoStack.length > UNDO_LIMIT) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.pending.push(command);
+    return inverse;
+  }
+
+  // Take back the last edit; returns its label, or null if there is nothing to undo
+  undo() {
+    return this.step(this.undoStack, this.redoStack);
+  }
+
+  // Make the last undone edit again; returns its label, or null if there is nothing to redo
+  redo() {
+    return this.step(this.redoStack, this.undoStack);
+  }
+
+  step(from, to) {
+    const entry = from.pop();
+    if (!entry) {
+      return null;
+    }
+    let again;
+    try {
+      again = applyCommand(this.map, entry.inverse);
+    } catch (error) {
+      from.push(entry);
+      throw error;
+    }
+
+    // Taking back an edit that wasn't saved yet drops it instead of sending both
+    if (this.pending[this.pending.length - 1] === entry.command) {
+      this.pending.pop();
+    } else {
+      this.pending.push(entry.inverse);
+    }
+    to.push({ label: entry.label, command: entry.inverse, inverse: again });
+    return entry.label;
+  }
+
+  // The first count pending commands were saved
+  saved(count) {
+    this.pending.splice(0, count);
+  }
+
+  // Start over on a freshly loaded map, forgetting all edits
+  reset(map) {
+    this.map = map;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.pending = [];
+  }
+}
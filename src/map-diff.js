@@ -0,0 +1,151 @@
+// Differences between two versions of a floor's map documents, shared by the server
+// (/revisions diff endpoint, conflict reports) and the browser tools.
+
+// Waypoints that moved less than this are considered unchanged (float noise from re-saving)
+const MOVE_TOLERANCE = 0.001; // metres
+
+function sameJson(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function distance(a, b) {
+  return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+}
+
+// cube-positions.json: waypoints added, removed or moved
+export function diffPositions(before, after) {
+  const oldCubes = new Map((before.cubes || []).map(cube => [cube.id, cube]));
+  const newCubes = new Map((after.cubes || []).map(cube => [cube.id, cube]));
+  const diff = { added: [], removed: [], moved: [] };
+
+  for (const [id, cube] of newCubes) {
+    const old = oldCubes.get(id);
+    if (!old) {
+      diff.added.push({ id, position: cube.worldPosition });
+    } else if (old.worldPosition && cube.worldPosition) {
+      const moved = distance(old.worldPosition, cube.worldPosition);
+      if (moved > MOVE_TOLERANCE) {
+        diff.moved.push({ id, from: old.worldPosition, to: cube.worldPosition, distance: moved });
+      }
+    }
+  }
+  for (const [id, cube] of oldCubes) {
+    if (!newCubes.has(id)) {
+      diff.removed.push({ id, position: cube.worldPosition });
+    }
+  }
+  return diff;
+}
+
+function edgeMap(adjacencyList) {
+  const edges = new Map();
+  for (const [from, list] of Object.entries(adjacencyList || {})) {
+    for (const edge of list) {
+      const to = edge.node || edge;
+      const key = edge.floor ? `${from}→${edge.floor}:${to}` : `${from}→${to}`;
+      edges.set(key, { from, to, edge });
+    }
+  }
+  return edges;
+}
+
+// graph-adjacency.json: nodes added or removed, edges added, removed or changed
+// (changed = same endpoints but a different distance, type, width, ...)
+export function diffGraph(before, after) {
+  const oldNodes = new Set(Object.keys(before.adjacencyList || {}));
+  const newNodes = new Set(Object.keys(after.adjacencyList || {}));
+  const oldEdges = edgeMap(before.adjacencyList);
+  const newEdges = edgeMap(after.adjacencyList);
+
+  const diff = {
+    nodesAdded: [...newNodes].filter(id => !oldNodes.has(id)),
+    nodesRemoved: [...oldNodes].filter(id => !newNodes.has(id)),
+    edgesAdded: [],
+    edgesRemoved: [],
+    edgesChanged: []
+  };
+
+  for (const [key, { from, to, edge }] of newEdges) {
+    const old = oldEdges.get(key);
+    if (!old) {
+      diff.edgesAdded.push({ from, to, edge });
+    } else if (!sameJson(old.edge, edge)) {
+      diff.edgesChanged.push({ from, to, before: old.edge, after: edge });
+    }
+  }
+  for (const [key, { from, to, edge }] of oldEdges) {
+    if (!newEdges.has(key)) {
+      diff.edgesRemoved.push({ from, to, edge });
+    }
+  }
+  return diff;
+}
+
+// node-room-mapping.json: room names added, removed or renamed per node
+export function diffRooms(before, after) {
+  const oldRooms = before.roomMapping || {};
+  const newRooms = after.roomMapping || {};
+  const diff = { added: [], removed: [], changed: [] };
+
+  for (const [nodeId, room] of Object.entries(newRooms)) {
+    if (!(nodeId in oldRooms)) {
+      diff.added.push({ nodeId, room });
+    } else if (oldRooms[nodeId] !== room) {
+      diff.changed.push({ nodeId, before: oldRooms[nodeId], after: room });
+    }
+  }
+  for (const [nodeId, room] of Object.entries(oldRooms)) {
+    if (!(nodeId in newRooms)) {
+      diff.removed.push({ nodeId, room });
+    }
+  }
+  return diff;
+}
+
+// Documents that are a list of items with an id, e.g. markers.json ({ markers: [...] })
+function diffById(key) {
+  return (before, after) => {
+    const oldItems = new Map((before[key] || []).map(item => [item.id, item]));
+    const newItems = new Map((after[key] || []).map(item => [item.id, item]));
+    const diff = { added: [], removed: [], changed: [] };
+
+    for (const [id, item] of newItems) {
+      const old = oldItems.get(id);
+      if (!old) {
+        diff.added.push(item);
+      } else if (!sameJson(old, item)) {
+        diff.changed.push({ id, before: old, after: item });
+      }
+    }
+    for (const [id, item] of oldItems) {
+      if (!newItems.has(id)) {
+        diff.removed.push(item);
+      }
+    }
+    return diff;
+  };
+}
+
+const DIFFERS = {
+  positions: diffPositions,
+  graph: diffGraph,
+  rooms: diffRooms,
+  markers: diffById('markers'),
+  anchors: diffById('anchors'),
+  pois: diffById('pois'),
+  closures: diffById('closures')
+};
+
+// Diff two versions of a map document by name ('positions', 'graph', 'rooms', ...)
+export function diffDocuments(documentName, before, after) {
+  const differ = DIFFERS[documentName];
+  if (!differ) {
+    return { changed: !sameJson(before, after) };
+  }
+  return differ(before || {}, after || {});
+}
+
+// True when a diff from diffDocuments() contains no changes
+export function isEmptyDiff(diff) {
+  return Object.values(diff).every(value => (Array.isArray(value) ? value.length === 0 : !value));
+}
@@ -0,0 +1,97 @@
+// Loading and saving a floor's map documents without overwriting other people's edits.
+// - Map edits (src/map-commands.js) are sent in batches and re-applied by the server to the latest
+//   documents, so they need no revision.
+// - Single edits of other documents, such as markers and anchor points, are read-modify-writes:
+//   every GET carries the document's revision as its ETag, saves send it back as If-Match and the
+//   server answers 409 if someone else saved in between.
+import { floorApiUrl } from './venue.js';
+import { authorizedFetch } from './credentials.js';
+
+// How often a single edit is re-applied and tried again before giving up
+const SAVE_ATTEMPTS = 3;
+
+// A save was based on an outdated revision. conflict is the server's 409 body:
+// { baseRevision, currentRevision, changes } with changes as returned by diffDocuments()
+export class SaveConflictError extends Error {
+  constructor(documentName, conflict) {
+    super(conflict.error || `${documentName} was changed by someone else`);
+    this.name = 'SaveConflictError';
+    this.documentName = documentName;
+    this.conflict = conflict;
+  }
+}
+
+function revisionFromEtag(response) {
+  const match = /^(?:W\/)?"(\d+)"$/.exec(response.headers.get('ETag') || '');
+  return match ? parseInt(match[1], 10) : undefined;
+}
+
+// Current version of a document: { data, revision }
+export async function loadDocument(documentName, floor) {
+  const response = await fetch(floorApiUrl(documentName, floor), { cache: 'no-cache' });
+  if (!response.ok) {
+    throw new Error(`Failed to load ${documentName}`);
+  }
+  return { data: await response.json(), revision: revisionFromEtag(response) };
+}
+
+// Save a document edited from the given revision. Resolves to the new revision number; rejects
+// with a SaveConflictError if the document has changed since. Without a revision the save is
+// unconditional.
+export async function saveDocument(documentName, data, { revision, floor } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (revision !== undefined) {
+    headers['If-Match'] = `"${revision}"`;
+  }
+
+  const response = await authorizedFetch(floorApiUrl(documentName, floor), {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(data)
+  });
+  const result = await response.json().catch(() => ({}));
+  if (response.status === 409) {
+    throw new SaveConflictError(documentName, result);
+  }
+  if (!response.ok) {
+    throw new Error(result.error || `Failed to save ${documentName}`);
+  }
+  return result.revision;
+}
+
+// Read-modify-write of a single edit, e.g. removing one node: update(data) changes the loaded
+// document in place (or returns a new one), or returns false when there is nothing to change.
+// If someone saves in between, the edit is applied again to their version.
+// Resolves to { data, revision } as saved.
+export async function updateDocument(documentName, update, { floor } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    const { data, revision } = await loadDocument(documentName, floor);
+    const result = await update(data);
+    if (result === false) {
+      return { data, revision };
+    }
+    const updated = result || data;
+    try {
+      return { data: updated, revision: await saveDocument(documentName, updated, { revision, floor }) };
+    } catch (error) {
+      if (!(error instanceof SaveConflictError) || attempt >= SAVE_ATTEMPTS) throw error;
+      console.log(`${documentName} changed while saving, applying the edit again`);
+    }
+  }
+}
+
+// Send map commands (e.g. EditHistory's pending edits) to be applied to the latest documents in one
+// go. referenceAnchor is the anchor their positions are relative to when the floor has none yet.
+// Resolves to { [documentName]: revision } for the saved documents.
+export async function saveEdits(commands, { floor, referenceAnchor } = {}) {
+  const response = await authorizedFetch(floorApiUrl('edits', floor), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(referenceAnchor ? { commands, referenceAnchor } : { commands })
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || 'Failed to save edits');
+  }
+  return result.revisions;
+}
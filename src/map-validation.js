@@ -0,0 +1,522 @@
+// Checks for a floor's map documents, shared by the server (rejecting bad saves, /validate) and
+// the browser tools.
+//
+// validateDocument() checks one document on its own (its "schema") and returns a list of problems;
+// validateFloorMap() cross-checks positions, graph and room mapping and returns a report.
+import { EDGE_TYPES, CLOSURE_KINDS, buildVenueGraph, parseNodeId } from './graph.js';
+import { POI_CATEGORIES, DAYS, parseTimeRange } from './pois.js';
+
+// Rotations are stored as Euler angles; anything outside one full turn is an accumulated
+// animation value, not a surveyed orientation
+const MAX_ROTATION = 2 * Math.PI;
+
+// Edge distances may differ this much from the straight line between their waypoints
+// (metres, or the fraction of the straight line if that is larger)
+export const DISTANCE_TOLERANCE = 0.1;
+export const DISTANCE_TOLERANCE_RATIO = 0.05;
+
+// The same orientation with every angle within one turn, [0, 2π)
+export function wrapRotation(rotation) {
+  const wrap = angle => ((angle % MAX_ROTATION) + MAX_ROTATION) % MAX_ROTATION;
+  return { x: wrap(rotation.x), y: wrap(rotation.y), z: wrap(rotation.z) };
+}
+
+// A positions document with its rotations wrapped into one turn. Waypoints stored before
+// rotations were checked can carry accumulated angles such as 500.55.
+export function wrapRotations(data) {
+  if (!isObject(data) || !Array.isArray(data.cubes)) {
+    return data;
+  }
+  return {
+    ...data,
+    cubes: data.cubes.map(cube => {
+      const rotation = isObject(cube) && cube.rotation;
+      if (!isObject(rotation) || ![rotation.x, rotation.y, rotation.z].every(Number.isFinite)) {
+        return cube;
+      }
+      return { ...cube, rotation: wrapRotation(rotation) };
+    })
+  };
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isId(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+function checkVector(problems, where, value, axes = ['x', 'y', 'z']) {
+  if (!isObject(value) || !axes.every(axis => Number.isFinite(value[axis]))) {
+    problems.push(`${where} needs numeric ${axes.join(', ')}`);
+    return false;
+  }
+  return true;
+}
+
+function checkNonNegative(problems, where, value) {
+  if (value !== undefined && !(Number.isFinite(value) && value >= 0)) {
+    problems.push(`${where} must be a non-negative number`);
+  }
+}
+
+// cube-positions.json: { timestamp?, cubeCount?, referenceAnchor?,
+//   cubes: [{ id, worldPosition, offsetFromQR?, rotation?, heightAboveFloor?, placedAt? }] }
+function validatePositions(data, problems) {
+  if (!Array.isArray(data.cubes)) {
+    problems.push('cubes must be an array');
+    return;
+  }
+
+  const seen = new Set();
+  data.cubes.forEach((cube, index) => {
+    const where = isObject(cube) && isId(cube.id) ? cube.id : `cubes[${index}]`;
+    if (!isObject(cube) || !isId(cube.id)) {
+      problems.push(`${where} needs an id`);
+      return;
+    }
+    if (seen.has(cube.id)) {
+      problems.push(`Duplicate waypoint ID ${cube.id}`);
+    }
+    seen.add(cube.id);
+
+    checkVector(problems, `${where}.worldPosition`, cube.worldPosition);
+    if (cube.offsetFromQR !== undefined) {
+      checkVector(problems, `${where}.offsetFromQR`, cube.offsetFromQR);
+    }
+    if (cube.rotation !== undefined && checkVector(problems, `${where}.rotation`, cube.rotation)) {
+      const { x, y, z } = cube.rotation;
+      if ([x, y, z].some(angle => Math.abs(angle) > MAX_ROTATION)) {
+        const angles = [x, y, z].map(angle => angle.toFixed(2)).join(', ');
+        problems.push(`${where}.rotation (${angles}) is more than a full turn`);
+      }
+    }
+    checkNonNegative(problems, `${where}.heightAboveFloor`, cube.heightAboveFloor);
+    checkNonNegative(problems, `${where}.placedAt`, cube.placedAt);
+  });
+
+  if (data.cubeCount !== undefined && data.cubeCount !== data.cubes.length) {
+    problems.push(`cubeCount is ${data.cubeCount} but there are ${data.cubes.length} cubes`);
+  }
+  if (data.referenceAnchor !== undefined && data.referenceAnchor !== null) {
+    const anchor = data.referenceAnchor;
+    if (checkVector(problems, 'referenceAnchor.position', anchor.position) && anchor.orientation !== undefined) {
+      checkVector(problems, 'referenceAnchor.orientation', anchor.orientation, ['x', 'y', 'z', 'w']);
+    }
+  }
+}
+
+// graph-adjacency.json: { adjacencyList: { nodeId: [nodeId | { node, distance?, type?, floor?, width?, slope? }] } }
+function validateGraphDocument(data, problems) {
+  if (!isObject(data.adjacencyList)) {
+    problems.push('adjacencyList must be an object');
+    return;
+  }
+
+  for (const [from, edges] of Object.entries(data.adjacencyList)) {
+    if (!Array.isArray(edges)) {
+      problems.push(`Edges of ${from} must be an array`);
+      continue;
+    }
+    edges.forEach((edge, index) => {
+      const where = `Edge ${index} of ${from}`;
+      if (typeof edge === 'string') {
+        if (!edge) problems.push(`${where} needs a node`);
+        return;
+      }
+      if (!isObject(edge) || !isId(edge.node)) {
+        problems.push(`${where} needs a node`);
+        return;
+      }
+      if (edge.node === from && !edge.floor) {
+        problems.push(`${where} links ${from} to itself`);
+      }
+      if (edge.type !== undefined && !EDGE_TYPES[edge.type]) {
+        problems.push(`${where} has unknown type ${edge.type}`);
+      }
+      if (edge.floor !== undefined && !isId(edge.floor)) {
+        problems.push(`${where} has an invalid floor`);
+      }
+      checkNonNegative(problems, `${where} distance`, edge.distance);
+      checkNonNegative(problems, `${where} width`, edge.width);
+      checkNonNegative(problems, `${where} slope`, edge.slope);
+    });
+  }
+}
+
+// node-room-mapping.json: { roomMapping: { nodeId: roomName } }
+function validateRooms(data, problems) {
+  if (!isObject(data.roomMapping)) {
+    problems.push('roomMapping must be an object');
+    return;
+  }
+  for (const [nodeId, room] of Object.entries(data.roomMapping)) {
+    if (typeof room !== 'string' || !room.trim()) {
+      problems.push(`Room of ${nodeId} must be a non-empty name`);
+    }
+  }
+}
+
+// poi-directory.json: { pois: [{ id, name, room?, category, aliases?, hours?, entrances: [nodeId] }] }
+function validatePois(data, problems) {
+  if (!Array.isArray(data.pois)) {
+    problems.push('pois must be an array');
+    return;
+  }
+
+  const seen = new Set();
+  data.pois.forEach((poi, index) => {
+    const where = isObject(poi) && isId(poi.id) ? `POI ${poi.id}` : `pois[${index}]`;
+    if (!isObject(poi) || !isId(poi.id)) {
+      problems.push(`${where} needs an id`);
+      return;
+    }
+    if (seen.has(poi.id)) {
+      problems.push(`Duplicate POI ID ${poi.id}`);
+    }
+    seen.add(poi.id);
+
+    if (typeof poi.name !== 'string' || !poi.name.trim()) {
+      problems.push(`${where} needs a name`);
+    }
+    if (poi.room !== undefined && poi.room !== null && typeof poi.room !== 'string') {
+      problems.push(`${where}.room must be a room number`);
+    }
+    if (!POI_CATEGORIES[poi.category]) {
+      problems.push(`${where} has unknown category ${poi.category}, use one of ${Object.keys(POI_CATEGORIES).join(', ')}`);
+    }
+    if (poi.aliases !== undefined && !(Array.isArray(poi.aliases) && poi.aliases.every(alias => typeof alias === 'string'))) {
+      problems.push(`${where}.aliases must be a list of names`);
+    }
+    if (!Array.isArray(poi.entrances) || !poi.entrances.every(isId)) {
+      problems.push(`${where}.entrances must be a list of node IDs`);
+    }
+    if (poi.hours !== undefined && poi.hours !== null) {
+      if (!isObject(poi.hours)) {
+        problems.push(`${where}.hours must map weekdays to opening times`);
+        return;
+      }
+      for (const [day, ranges] of Object.entries(poi.hours)) {
+        if (!DAYS.includes(day)) {
+          problems.push(`${where}.hours has unknown day ${day}, use one of ${DAYS.join(', ')}`);
+        } else if (!Array.isArray(ranges) || !ranges.every(range => parseTimeRange(range))) {
+          problems.push(`${where}.hours.${day} must be a list of times like "08:00-17:00"`);
+        }
+      }
+    }
+  });
+}
+
+// markers.json: { markers: [{ id, image, widthInMeters, pose?: { position, orientation } }] }
+function validateMarkers(data, problems) {
+  if (!Array.isArray(data.markers)) {
+    problems.push('markers must be an array');
+    return;
+  }
+
+  const seen = new Set();
+  data.markers.forEach((marker, index) => {
+    const where = isObject(marker) && isId(marker.id) ? `Marker ${marker.id}` : `markers[${index}]`;
+    if (!isObject(marker) || !isId(marker.id)) {
+      problems.push(`${where} needs an id`);
+      return;
+    }
+    if (seen.has(marker.id)) {
+      problems.push(`Duplicate marker ID ${marker.id}`);
+    }
+    seen.add(marker.id);
+
+    if (!isId(marker.image)) {
+      problems.push(`${where} needs an image URL`);
+    }
+    if (!(Number.isFinite(marker.widthInMeters) && marker.widthInMeters > 0)) {
+      problems.push(`${where}.widthInMeters must be a positive number`);
+    }
+    // Missing until the marker is registered in the surveying app
+    if (marker.pose !== undefined && marker.pose !== null) {
+      if (!isObject(marker.pose)) {
+        problems.push(`${where}.pose needs a position and an orientation`);
+        return;
+      }
+      checkVector(problems, `${where}.pose.position`, marker.pose.position);
+      checkVector(problems, `${where}.pose.orientation`, marker.pose.orientation, ['x', 'y', 'z', 'w']);
+    }
+  });
+}
+
+// anchors.json: { anchors: [{ id, name?, position }] }, positions relative to the reference anchor
+function validateAnchors(data, problems) {
+  if (!Array.isArray(data.anchors)) {
+    problems.push('anchors must be an array');
+    return;
+  }
+
+  const seen = new Set();
+  data.anchors.forEach((anchor, index) => {
+    const where = isObject(anchor) && isId(anchor.id) ? `Anchor ${anchor.id}` : `anchors[${index}]`;
+    if (!isObject(anchor) || !isId(anchor.id)) {
+      problems.push(`${where} needs an id`);
+      return;
+    }
+    if (seen.has(anchor.id)) {
+      problems.push(`Duplicate anchor ID ${anchor.id}`);
+    }
+    seen.add(anchor.id);
+
+    if (anchor.name !== undefined && typeof anchor.name !== 'string') {
+      problems.push(`${where}.name must be text`);
+    }
+    checkVector(problems, `${where}.position`, anchor.position);
+  });
+}
+
+// closures.json: { closures: [{ id, node } | { id, from, to }, with kind?, reason?, since?] }
+function validateClosures(data, problems) {
+  if (!Array.isArray(data.closures)) {
+    problems.push('closures must be an array');
+    return;
+  }
+
+  const seen = new Set();
+  data.closures.forEach((closure, index) => {
+    const where = isObject(closure) && isId(closure.id) ? `Closure ${closure.id}` : `closures[${index}]`;
+    if (!isObject(closure) || !isId(closure.id)) {
+      problems.push(`${where} needs an id`);
+      return;
+    }
+    if (seen.has(closure.id)) {
+      problems.push(`Duplicate closure ID ${closure.id}`);
+    }
+    seen.add(closure.id);
+
+    const closesEdge = isId(closure.from) && isId(closure.to);
+    if (isId(closure.node) === closesEdge) {
+      problems.push(`${where} needs either a node or the from and to of an edge`);
+    }
+    if (closure.kind !== undefined && !CLOSURE_KINDS.includes(closure.kind)) {
+      problems.push(`${where} has unknown kind ${closure.kind}, use one of ${CLOSURE_KINDS.join(', ')}`);
+    }
+    if (closure.reason !== undefined && typeof closure.reason !== 'string') {
+      problems.push(`${where}.reason must be text`);
+    }
+  });
+}
+
+const VALIDATORS = {
+  positions: validatePositions,
+  graph: validateGraphDocument,
+  rooms: validateRooms,
+  pois: validatePois,
+  closures: validateClosures,
+  markers: validateMarkers,
+  anchors: validateAnchors
+};
+
+// Problems with a single map document ('positions', 'graph', 'rooms', 'pois', 'closures',
+// 'markers' or 'anchors'), e.g.
+// ['cube_3.rotation (500.55, 500.55, 0.00) is more than a full turn']. Empty when it is valid.
+export function validateDocument(documentName, data) {
+  if (!isObject(data)) {
+    return [`${documentName} must be a JSON object`];
+  }
+  const problems = [];
+  const validate = VALIDATORS[documentName];
+  if (validate) {
+    validate(data, problems);
+  }
+  return problems;
+}
+
+function issue(type, severity, message, nodes = []) {
+  return { type, severity, message, nodes };
+}
+
+// The parts of a floor the cross-checks can work with; validateDocument reports the rest
+function usableFloor(floor) {
+  const adjacencyList = {};
+  for (const [from, edges] of Object.entries(isObject(floor.adjacencyList) ? floor.adjacencyList : {})) {
+    if (!Array.isArray(edges)) continue;
+    adjacencyList[from] = edges.filter(edge => (typeof edge === 'string' && edge) || (isObject(edge) && isId(edge.node)));
+  }
+  return {
+    ...floor,
+    adjacencyList,
+    roomMapping: isObject(floor.roomMapping) ? floor.roomMapping : {},
+    pois: Array.isArray(floor.pois)
+      ? floor.pois.filter(poi => isObject(poi) && isId(poi.id)).map(poi => ({
+        ...poi,
+        entrances: Array.isArray(poi.entrances) ? poi.entrances.filter(isId) : []
+      }))
+      : [],
+    cubes: Array.isArray(floor.cubes) ? floor.cubes.filter(cube => isObject(cube) && isId(cube.id)) : []
+  };
+}
+
+// Connected components of the venue graph, edges taken as two-way
+function components(adjacencyList, nodes) {
+  const neighbors = new Map([...nodes].map(node => [node, new Set()]));
+  for (const [from, edges] of Object.entries(adjacencyList)) {
+    for (const edge of edges) {
+      const to = edge.node || edge;
+      if (!neighbors.has(from)) neighbors.set(from, new Set());
+      if (!neighbors.has(to)) neighbors.set(to, new Set());
+      neighbors.get(from).add(to);
+      neighbors.get(to).add(from);
+    }
+  }
+
+  const seen = new Set();
+  const result = [];
+  for (const start of neighbors.keys()) {
+    if (seen.has(start)) continue;
+    const component = [];
+    const stack = [start];
+    seen.add(start);
+    while (stack.length > 0) {
+      const node = stack.pop();
+      component.push(node);
+      for (const next of neighbors.get(node)) {
+        if (!seen.has(next)) {
+          seen.add(next);
+          stack.push(next);
+        }
+      }
+    }
+    result.push(component);
+  }
+  return result.sort((a, b) => b.length - a.length);
+}
+
+// Cross-check the documents of one floor. floors are all floors of the venue as
+// [{ id, name, adjacencyList, roomMapping, pois, cubes }] (what the server's loadVenueFloors returns),
+// so connectors and reachability are checked across floors.
+// Returns { valid, errors, warnings, issues: [{ type, severity, message, nodes }] }:
+// - schema: a document breaks its schema (see validateDocument)
+// - duplicateId: two waypoints with the same ID
+// - danglingEdge: an edge from or to a node without a waypoint
+// - danglingRoom: a room mapped to a node without a waypoint
+// - danglingEntrance: a POI entrance without a waypoint
+// - noEntrance: a POI without entrances, which routes can't lead to
+// - asymmetricEdge: an edge without its way back (warning, one-way edges are rare but possible)
+// - distanceMismatch: an edge distance that doesn't match its waypoints (warning)
+// - disconnectedComponent: waypoints that can't be reached from the rest of the venue (warning)
+// - unreachableRoom: a room, or a POI with all its entrances, outside the main part of the venue graph
+export function validateFloorMap(floors, floorId) {
+  const issues = [];
+  const raw = floors.find(f => f.id === floorId);
+  for (const [documentName, data] of [
+    ['positions', { cubes: raw.cubes }],
+    ['graph', { adjacencyList: raw.adjacencyList }],
+    ['rooms', { roomMapping: raw.roomMapping }],
+    ['pois', { pois: raw.pois || [] }]
+  ]) {
+    for (const problem of validateDocument(documentName, data)) {
+      if (problem.startsWith('Duplicate waypoint ID')) continue;
+      issues.push(issue('schema', 'error', `${documentName}: ${problem}`));
+    }
+  }
+
+  floors = floors.map(usableFloor);
+  const { adjacencyList, roomMapping, pois, cubes } = floors.find(f => f.id === floorId);
+
+  const counts = new Map();
+  for (const cube of cubes) {
+    counts.set(cube.id, (counts.get(cube.id) || 0) + 1);
+  }
+  for (const [id, count] of counts) {
+    if (count > 1) {
+      issues.push(issue('duplicateId', 'error', `Waypoint ID ${id} is used ${count} times`, [id]));
+    }
+  }
+
+  // Waypoints of every floor, to check connectors too
+  const waypoints = new Map(floors.map(f => [
+    f.id,
+    new Map((f.cubes || []).filter(c => c && c.worldPosition).map(c => [c.id, c.worldPosition]))
+  ]));
+  const graphs = new Map(floors.map(f => [f.id, f.adjacencyList || {}]));
+  const located = waypoints.get(floorId);
+
+  for (const [from, edges] of Object.entries(adjacencyList)) {
+    if (!located.has(from)) {
+      issues.push(issue('danglingEdge', 'error', `${from} has edges but no waypoint`, [from]));
+    }
+
+    for (const edge of edges) {
+      const to = edge.node || edge;
+      const toFloor = edge.floor || floorId;
+      const label = edge.floor ? `${from} → ${edge.floor}:${to}` : `${from} → ${to}`;
+      if (!waypoints.has(toFloor)) {
+        issues.push(issue('danglingEdge', 'error', `${label} leads to unknown floor ${toFloor}`, [from]));
+        continue;
+      }
+      if (!waypoints.get(toFloor).has(to)) {
+        issues.push(issue('danglingEdge', 'error', `${label} leads to a node without a waypoint`, [from, to]));
+      }
+
+      const back = (graphs.get(toFloor)[to] || []).some(e => (e.node || e) === from && (e.floor || toFloor) === floorId);
+      if (!back) {
+        issues.push(issue('asymmetricEdge', 'warning', `${label} has no edge back`, [from, to]));
+      }
+
+      const a = located.get(from);
+      const b = located.get(to);
+      if (!edge.floor && a && b && Number.isFinite(edge.distance)) {
+        const straight = Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z);
+        if (Math.abs(edge.distance - straight) > Math.max(DISTANCE_TOLERANCE, straight * DISTANCE_TOLERANCE_RATIO)) {
+          issues.push(issue('distanceMismatch', 'warning',
+            `${label} is ${edge.distance.toFixed(2)} m but the waypoints are ${straight.toFixed(2)} m apart`, [from, to]));
+        }
+      }
+    }
+  }
+
+  for (const nodeId of Object.keys(roomMapping)) {
+    if (!located.has(nodeId)) {
+      issues.push(issue('danglingRoom', 'error', `Room ${roomMapping[nodeId]} is mapped to ${nodeId}, which has no waypoint`, [nodeId]));
+    }
+  }
+  for (const poi of pois) {
+    if (poi.entrances.length === 0) {
+      issues.push(issue('noEntrance', 'error', `POI ${poi.id} has no entrances`));
+    }
+    for (const nodeId of poi.entrances) {
+      if (!located.has(nodeId)) {
+        issues.push(issue('danglingEntrance', 'error', `Entrance ${nodeId} of POI ${poi.id} has no waypoint`, [nodeId]));
+      }
+    }
+  }
+
+  // Reachability over the whole venue: the largest component is the venue, anything else on this
+  // floor is cut off from it
+  const venue = buildVenueGraph(floors, floorId);
+  const allNodes = new Set();
+  for (const f of floors) {
+    for (const id of waypoints.get(f.id).keys()) {
+      allNodes.add(f.id === floorId ? id : `${f.id}:${id}`);
+    }
+  }
+  const [main = [], ...others] = components(venue.adjacencyList, allNodes);
+  const mainComponent = new Set(main);
+  for (const component of others) {
+    const onFloor = component.filter(id => parseNodeId(id, floorId).floorId === floorId);
+    if (onFloor.length === 0) continue;
+    issues.push(issue('disconnectedComponent', 'warning',
+      `${onFloor.length} waypoint(s) can't be reached from the rest of the venue: ${onFloor.join(', ')}`, onFloor));
+  }
+  for (const [nodeId, room] of Object.entries(roomMapping)) {
+    if (located.has(nodeId) && !mainComponent.has(nodeId)) {
+      issues.push(issue('unreachableRoom', 'error', `Room ${room} (${nodeId}) can't be reached from the rest of the venue`, [nodeId]));
+    }
+  }
+  for (const poi of pois) {
+    const entrances = poi.entrances.filter(nodeId => located.has(nodeId));
+    if (entrances.length > 0 && !entrances.some(nodeId => mainComponent.has(nodeId))) {
+      issues.push(issue('unreachableRoom', 'error', `POI ${poi.id} can't be reached from the rest of the venue`, entrances));
+    }
+  }
+
+  const errors = issues.filter(i => i.severity === 'error').length;
+  return { valid: errors === 0, errors, warnings: issues.length - errors, issues };
+}
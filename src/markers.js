@@ -0,0 +1,113 @@
+// Printed calibration markers, detected in the camera feed with WebXR image tracking.
+//
+// markers.json of a floor: { markers: [{ id, image, widthInMeters, pose }] }
+// - image is the URL of the printed picture (e.g. a QR code), widthInMeters its printed width
+// - pose is where the marker hangs relative to the floor's reference anchor; it is filled in
+//   by "Register Marker" in the surveying app and is missing until then
+//
+// A marker's pose is much steadier than a hand-held phone's, so calibrating from it puts the
+// reference anchor back where it was surveyed to within a few centimetres.
+import * as THREE from 'three';
+
+// Load the markers of the given floors and prepare them for image tracking.
+// floors: [{ id, url }]. Resolves to { trackedImages, trackedMarkers } where trackedImages goes
+// into the session init and trackedMarkers[i] is the marker (with its floorId) of trackedImages[i].
+export async function loadTrackedMarkers(floors) {
+  const trackedImages = [];
+  const trackedMarkers = [];
+  if (!window.createImageBitmap) {
+    return { trackedImages, trackedMarkers };
+  }
+
+  for (const floor of floors) {
+    try {
+      const response = await fetch(floor.url);
+      if (!response.ok) continue;
+      const data = await response.json();
+
+      for (const marker of data.markers || []) {
+        try {
+          const imageResponse = await fetch(marker.image);
+          const image = await createImageBitmap(await imageResponse.blob());
+          trackedImages.push({ image, widthInMeters: marker.widthInMeters });
+          trackedMarkers.push({ ...marker, floorId: floor.id });
+        } catch (error) {
+          console.warn('Could not load marker image', marker.id, error);
+        }
+      }
+    } catch (error) {
+      console.warn('Could not load markers of floor', floor.id, error);
+    }
+  }
+
+  console.log(`Loaded ${trackedMarkers.length} calibration markers`);
+  return { trackedImages, trackedMarkers };
+}
+
+// Add image tracking to a WebXR session init when there are markers to track
+export function withImageTracking(sessionInit, trackedImages) {
+  if (trackedImages.length === 0) {
+    return sessionInit;
+  }
+  return {
+    ...sessionInit,
+    optionalFeatures: [...sessionInit.optionalFeatures, 'image-tracking'],
+    trackedImages
+  };
+}
+
+// Markers the camera sees in this frame: [{ marker, position, quaternion }].
+// Only 'tracked' results count; 'emulated' ones are guesses from an earlier sighting.
+export function getVisibleMarkers(frame, referenceSpace, trackedMarkers) {
+  const visible = [];
+  if (!frame || !referenceSpace || !frame.getImageTrackingResults) {
+    return visible;
+  }
+
+  for (const result of frame.getImageTrackingResults()) {
+    if (result.trackingState !== 'tracked') continue;
+    const marker = trackedMarkers[result.index];
+    const pose = frame.getPose(result.imageSpace, referenceSpace);
+    if (!marker || !pose) continue;
+
+    const { position, orientation } = pose.transform;
+    visible.push({
+      marker,
+      position: new THREE.Vector3(position.x, position.y, position.z),
+      quaternion: new THREE.Quaternion(orientation.x, orientation.y, orientation.z, orientation.w)
+    });
+  }
+  return visible;
+}
+
+function poseMatrix(position, orientation) {
+  return new THREE.Matrix4().compose(
+    new THREE.Vector3(position.x, position.y, position.z),
+    new THREE.Quaternion(orientation.x, orientation.y, orientation.z, orientation.w),
+    new THREE.Vector3(1, 1, 1)
+  );
+}
+
+function matrixToPose(matrix) {
+  const position = new THREE.Vector3();
+  const orientation = new THREE.Quaternion();
+  matrix.decompose(position, orientation, new THREE.Vector3());
+  return {
+    position: { x: position.x, y: position.y, z: position.z },
+    orientation: { x: orientation.x, y: orientation.y, z: orientation.z, w: orientation.w }
+  };
+}
+
+// Reference anchor ({ position, orientation }) implied by seeing a registered marker at this pose:
+// anchor = observed marker pose * inverse(marker pose relative to the anchor)
+export function anchorFromMarker(marker, position, quaternion) {
+  const observed = poseMatrix(position, quaternion);
+  const relative = poseMatrix(marker.pose.position, marker.pose.orientation);
+  return matrixToPose(observed.multiply(relative.invert()));
+}
+
+// Pose of an observed marker relative to the current reference anchor, for registering it
+export function markerPoseFromAnchor(referenceAnchor, position, quaternion) {
+  const anchor = poseMatrix(referenceAnchor.position, referenceAnchor.orientation);
+  return matrixToPose(anchor.invert().multiply(poseMatrix(position, quaternion)));
+}
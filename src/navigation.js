@@ -1,8 +1,11 @@
 import * as THREE from 'three';
-
-const API_URL = '/api/positions';
-const ROOMS_API_URL = '/api/rooms';
-const GRAPH_API_URL = '/api/graph';
+import { floorApiUrl, getVenueId, getFloorId, setFloorId } from './venue.js';
+import { parseNodeId, qualifyNodeId, ROUTING_PROFILES, DEFAULT_ROUTING_PROFILE } from './graph.js';
+import { POI_CATEGORIES, searchPois } from './pois.js';
+import { loadTrackedMarkers, withImageTracking, getVisibleMarkers, anchorFromMarker } from './markers.js';
+import { fitRigidTransform, posePairs, anchorToSession, savedPointToSession, levelPose, parseAlignmentMode } from './alignment.js';
+import { buildManeuvers, nextManeuver, describeManeuver, distanceAlongPath, NOW_DISTANCE } from './instructions.js';
+import { findFloorHit } from './floor-detection.js';
 
 let camera, scene, renderer;
 let xrSession = null;
@@ -10,18 +13,93 @@ let cubes = []; // Array to store all cubes
 let referenceAnchor = null; // Store reference position for calibration
 let xrHitTestSource = null;
 let xrReferenceSpace = null;
+let floorLevel = null; // Height of the floor last found by hit testing
 let originMarker = null; // Visual marker at world origin
-let selectedDestination = null; // Selected room destination
-let destinationNodeId = null; // Node ID mapped to selected room
+let selectedDestination = null; // Selected POI { floorId, poiId, name }, stable across floor changes, or { category, name } for the nearest of a category
+let destinationNodeId = null; // Entrance the route leads to
+let destinationEntrances = []; // All entrances of the selected POI or category (node IDs, may be on other floors)
 let showNearestEnabled = false; // Track if nearest cube highlighting is enabled
 let navigationActive = false; // Track if navigation is active
 let nearestNodeId = null; // Store nearest node ID for navigation
-let adjacencyList = {}; // Graph adjacency list
+let directory = []; // Points of interest of all floors (see /api/directory)
+let destinationCategory = null; // Category the destination search is limited to
+let destinationSearchTimer = null; // Pending search while the user is typing
+let destinationSearchId = 0; // Latest search, so slower answers to older ones are dropped
+let venueFloors = []; // Floors of the current venue
 let cubePositions = {}; // Cube positions for pathfinding
 let pathLines = []; // Store path visualization objects
 let fullNavigationPath = []; // Store full path for sliding window navigation
 let pathTubes = []; // Store tube meshes for path visualization
 let pathArrows = []; // Store arrow meshes for direction indicators
+let pendingFloorChange = null; // Floor change at the end of the current route leg
+let resumeAfterCalibration = false; // Continue navigation once the new floor is calibrated
+let routingProfile = localStorage.getItem('routingProfile') || DEFAULT_ROUTING_PROFILE; // Standard or step-free routing
+let fallbackAccepted = false; // User agreed to the standard route when there is no step-free one
+let evacuationMode = false; // Leading the user to the nearest exit, without elevators
+let offRouteSince = null; // Time the user first strayed from the route
+let rerouting = false; // A new route is being computed
+let routeManeuvers = []; // Turn-by-turn maneuvers of the current route leg
+let voiceGuidance = localStorage.getItem('voiceGuidance') === 'true'; // Speak instructions aloud
+let lastSpokenInstruction = null; // Avoid repeating the same spoken instruction
+let trip = null; // { startTime, walked, lastPosition } of the trip in progress, across floors
+let trackedImages = []; // Marker images handed to WebXR image tracking
+let trackedMarkers = []; // Calibration markers of every floor, same order as trackedImages
+let visibleMarkers = []; // Registered markers of this floor seen in the latest frame
+let savedPositions = null; // Positions document of this floor, to re-align waypoints after re-anchoring
+let anchorPoints = []; // Surveyed anchor points of this floor: { id, name, position } relative to the reference anchor
+let alignmentObservations = []; // { id, pairs } behind the current referenceAnchor, oldest first
+let rejectedTilt = 0; // Pitch/roll (degrees) dropped from the last calibration
+
+// Recompute the route when the user stays this far from it for this long
+const OFF_ROUTE_DISTANCE = 2.5; // metres from the route line
+const OFF_ROUTE_DURATION = 3000; // milliseconds
+
+// Navigation ends when the user is this close to the destination waypoint (?arrivalRadius=2 to change)
+const ARRIVAL_RADIUS = parseFloat(new URLSearchParams(window.location.search).get('arrivalRadius')) || 1.5; // metres
+
+// The page embedding the app in an iframe, which is told about arrivals: ?hostOrigin= or, by
+// default, the origin of the page that opened the app. null when there is none to tell.
+const HOST_ORIGIN = (() => {
+  try {
+    const origin = new URL(new URLSearchParams(window.location.search).get('hostOrigin') || document.referrer).origin;
+    return origin === 'null' ? null : origin;
+  } catch (error) {
+    return null;
+  }
+})();
+
+// Yaw-only alignment keeps the map level however the phone was held; ?alignment=full uses the full rotation
+const alignmentMode = parseAlignmentMode(new URLSearchParams(window.location.search).get('alignment'));
+
+// Re-anchoring: how far the nearest anchor point may be, and how much each older observation
+// counts compared to the next one (tracking drifts, so recent anchors are more trustworthy)
+const REANCHOR_RADIUS = 5; // metres
+const OBSERVATION_DECAY = 0.5;
+
+// Camera movements shorter than this are treated as tracking jitter when measuring the walked distance
+const MIN_STEP_DISTANCE = 0.2; // metres
+
+// The route is drawn this far above the floor; waypoints without a recorded heightAboveFloor are
+// only moved down to the floor found by hit testing if they are at most this high above it
+const ROUTE_FLOOR_LIFT = 0.02; // metres
+const MAX_WAYPOINT_HEIGHT = 2; // metres
+
+// Destination search: wait this long after the last key press, show at most this many results
+const DESTINATION_SEARCH_DELAY = 200; // milliseconds
+const DESTINATION_RESULTS = 20;
+
+// Destinations picked before, per venue, newest first
+const RECENT_DESTINATIONS_KEY = 'recentDestinations';
+const MAX_RECENT_DESTINATIONS = 5;
+
+// Arrows shown next to turn-by-turn instructions
+const MANEUVER_ICONS = {
+  straight: '↑',
+  left: '←',
+  right: '→',
+  uturn: '↶',
+  arrive: '●'
+};
 
 init();
 
@@ -76,29 +154,61 @@ function init() {
   const calibrateButton = document.getElementById('calibrate-button');
   calibrateButton.addEventListener('click', onCalibrateClick);
 
-  // Setup destination room selector
-  const roomSelect = document.getElementById('destination-room');
-  roomSelect.addEventListener('change', async (e) => {
-    if (e.target.value) {
-      selectedDestination = e.target.value;
-      console.log('Destination room selected:', selectedDestination);
-      
-      // Reset navigation state when changing destination
-      navigationActive = false;
-      
-      // Load destination cube and graph data when room is selected
-      await loadDestinationCube();
-      await loadGraphData();
-      
-      // Show start navigation button after destination is loaded
-      const startNavButton = document.getElementById('start-navigation-button');
-      if (startNavButton && destinationNodeId) {
-        startNavButton.style.display = 'block';
-        startNavButton.textContent = 'Start Navigation';
-        startNavButton.classList.remove('active');
-      } else {
-        console.error('Could not load destination for room:', selectedDestination);
-      }
+  // Setup destination search: type to search, or pick a category or a recent destination
+  const destinationSearch = document.getElementById('destination-search');
+  destinationSearch.addEventListener('input', () => {
+    clearTimeout(destinationSearchTimer);
+    destinationSearchTimer = setTimeout(updateDestinationResults, DESTINATION_SEARCH_DELAY);
+  });
+  
+  const categoryButtons = document.getElementById('destination-categories');
+  for (const [category, { label }] of Object.entries(POI_CATEGORIES)) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.dataset.category = category;
+    button.addEventListener('click', () => {
+      // Tapping the active category again shows everything
+      destinationCategory = destinationCategory === category ? null : category;
+      categoryButtons.querySelectorAll('button').forEach(b => {
+        b.classList.toggle('active', b.dataset.category === destinationCategory);
+      });
+      updateDestinationResults();
+    });
+    categoryButtons.appendChild(button);
+  }
+
+  // Setup routing profile selector (remembered between visits)
+  const profileSelect = document.getElementById('routing-profile');
+  for (const [profile, { label, emergency }] of Object.entries(ROUTING_PROFILES)) {
+    if (emergency) continue;
+    const option = document.createElement('option');
+    option.value = profile;
+    option.textContent = label;
+    profileSelect.appendChild(option);
+  }
+  if (!ROUTING_PROFILES[routingProfile] || ROUTING_PROFILES[routingProfile].emergency) {
+    routingProfile = DEFAULT_ROUTING_PROFILE;
+  }
+  profileSelect.value = routingProfile;
+  profileSelect.addEventListener('change', (e) => {
+    routingProfile = e.target.value;
+    fallbackAccepted = false;
+    localStorage.setItem('routingProfile', routingProfile);
+    console.log('Routing profile selected:', routingProfile);
+  });
+
+  // Setup voice guidance toggle (remembered between visits)
+  const voiceToggle = document.getElementById('voice-guidance');
+  if (!('speechSynthesis' in window)) {
+    voiceGuidance = false;
+    voiceToggle.disabled = true;
+  }
+  voiceToggle.checked = voiceGuidance;
+  voiceToggle.addEventListener('change', (e) => {
+    voiceGuidance = e.target.checked;
+    localStorage.setItem('voiceGuidance', voiceGuidance);
+    if (!voiceGuidance) {
+      window.speechSynthesis.cancel();
     }
   });
 
@@ -106,6 +216,22 @@ function init() {
   const startNavButton = document.getElementById('start-navigation-button');
   startNavButton.addEventListener('click', onStartNavigationClick);
 
+  // Setup floor change confirmation button
+  const floorChangeButton = document.getElementById('floor-change-button');
+  floorChangeButton.addEventListener('click', onFloorChangeConfirmed);
+
+  // Setup Re-anchor button
+  const reanchorButton = document.getElementById('reanchor-button');
+  reanchorButton.addEventListener('click', onReanchorClick);
+  
+  // Setup Evacuate button
+  const evacuateButton = document.getElementById('evacuate-button');
+  evacuateButton.addEventListener('click', onEvacuateClick);
+
+  // Setup arrival panel button
+  const arrivalButton = document.getElementById('arrival-done-button');
+  arrivalButton.addEventListener('click', onArrivalDone);
+
   // Setup Stop AR button
   const stopArButton = document.getElementById('stop-ar-button');
   stopArButton.addEventListener('click', () => {
@@ -117,8 +243,12 @@ function init() {
   // Handle window resize
   window.addEventListener('resize', onWindowResize);
 
-  // Load available rooms
-  loadRoomMappings();
+  // Load available rooms, then the calibration markers of every floor
+  // (image tracking is set up when the session starts, so markers of other floors are needed up front)
+  loadDestinations().then(loadCalibrationMarkers);
+  
+  // Routes change when an operator closes or reopens an area
+  listenForClosures();
 
   // Start animation loop
   renderer.setAnimationLoop(render);
@@ -133,11 +263,11 @@ async function onStartARClick() {
 
   try {
     // Request AR session with same settings as main.js
-    xrSession = await navigator.xr.requestSession('immersive-ar', {
+    xrSession = await navigator.xr.requestSession('immersive-ar', withImageTracking({
       requiredFeatures: ['local-floor'],
       optionalFeatures: ['bounded-floor', 'dom-overlay', 'hit-test'],
       domOverlay: { root: document.getElementById('overlay') }
-    });
+    }, trackedImages));
 
     await renderer.xr.setSession(xrSession);
     
@@ -189,6 +319,7 @@ function onSessionEnded() {
   xrSession = null;
   xrHitTestSource = null;
   xrReferenceSpace = null;
+  floorLevel = null;
   
   // Show welcome screen
   const welcomeScreen = document.getElementById('welcome-screen');
@@ -213,6 +344,19 @@ function onSessionEnded() {
   const stopArButton = document.getElementById('stop-ar-button');
   stopArButton.style.display = 'none';
   
+  // Forget any floor change or trip in progress
+  pendingFloorChange = null;
+  resumeAfterCalibration = false;
+  trip = null;
+  hideFloorChangeStep();
+  hideArrivalPanel();
+  
+  // Hide Re-anchor and Evacuate buttons
+  const reanchorButton = document.getElementById('reanchor-button');
+  reanchorButton.style.display = 'none';
+  document.getElementById('evacuate-button').style.display = 'none';
+  evacuationMode = false;
+  
   // Hide room selector overlay
   const roomSelectorOverlay = document.getElementById('room-selector-overlay');
   if (roomSelectorOverlay) {
@@ -228,7 +372,7 @@ function onSessionEnded() {
 
 async function loadCubePositions() {
   try {
-    const response = await fetch(API_URL);
+    const response = await fetch(floorApiUrl('positions'));
     if (!response.ok) {
       console.log('No saved positions found or error loading');
       return;
@@ -285,7 +429,8 @@ async function loadCubePositions() {
       );
       
       // Store the cube ID
-      cube.userData.cubeId = cubeData.id;
+      cube.userData.nodeId = cubeData.id;
+      cube.userData.heightAboveFloor = cubeData.heightAboveFloor;
       
       scene.add(cube);
       cubes.push(cube);
@@ -310,7 +455,7 @@ function onCalibrateClick() {
   
   // Store the current camera position as the reference anchor
   // This becomes the "world origin" that all waypoints are relative to
-  referenceAnchor = {
+  applyCalibration({
     position: {
       x: cameraPosition.x,
       y: cameraPosition.y,
@@ -322,9 +467,42 @@ function onCalibrateClick() {
       z: cameraQuaternion.z,
       w: cameraQuaternion.w
     }
-  };
+  });
+}
+
+// Keep track of the registered markers of this floor that are in view
+function updateVisibleMarkers(frame) {
+  const floorId = getFloorId() || 'default'; // Legacy URLs address the default floor
+  visibleMarkers = getVisibleMarkers(frame, renderer.xr.getReferenceSpace(), trackedMarkers)
+    .filter(({ marker }) => marker.pose && marker.floorId === floorId);
+}
+
+// Calibrate from a registered marker of this floor as soon as the camera sees one
+function calibrateFromMarker() {
+  const visible = visibleMarkers[0];
+  if (!visible) return;
   
-  console.log('Reference position calibrated at camera position:', referenceAnchor.position);
+  console.log('Calibrating from marker', visible.marker.id);
+  applyCalibration(anchorFromMarker(visible.marker, visible.position, visible.quaternion));
+}
+
+function applyCalibration(anchor) {
+  // Drop the phone's pitch and roll so waypoints stay level
+  rejectedTilt = 0;
+  if (alignmentMode === 'yaw') {
+    ({ pose: anchor, rejectedTilt } = levelPose(anchor));
+    console.log(`Levelled calibration: rejected ${rejectedTilt.toFixed(1)}° of pitch/roll`);
+  }
+  referenceAnchor = anchor;
+  alignmentObservations = [{ id: 'calibration', pairs: posePairs(anchor) }];
+  loadAnchorPoints();
+  
+  // Re-anchoring and evacuating are possible from now on
+  const reanchorButton = document.getElementById('reanchor-button');
+  reanchorButton.style.display = 'block';
+  document.getElementById('evacuate-button').style.display = 'block';
+  
+  console.log('Reference position calibrated at:', referenceAnchor.position);
   console.log('Reference orientation:', referenceAnchor.orientation);
   
   // Update status
@@ -336,6 +514,13 @@ function onCalibrateClick() {
     calibrateButton.style.display = 'none';
   }
   
+  // Arrived on a new floor mid-route: continue to the same destination
+  if (resumeAfterCalibration) {
+    resumeAfterCalibration = false;
+    resumeNavigation();
+    return;
+  }
+  
   // Show room selector overlay after calibration
   const roomSelectorOverlay = document.getElementById('room-selector-overlay');
   if (roomSelectorOverlay) {
@@ -346,69 +531,325 @@ function onCalibrateClick() {
   console.log('Calibration complete. Please select a destination room.');
 }
 
-async function loadRoomMappings() {
+async function loadDestinations() {
   try {
-    const response = await fetch(ROOMS_API_URL);
+    // Points of interest of every floor of the venue come with the venue graph
+    await loadGraphData();
+    
+    updateDestinationResults();
+    console.log('Loaded destinations:', directory.map(poi => poi.name));
+  } catch (error) {
+    console.error('Error loading destinations:', error);
+    showDestinationResults([], 'No rooms available');
+  }
+}
+
+// Show the destinations matching the search box and category, or the recent ones when both are empty
+async function updateDestinationResults() {
+  const query = document.getElementById('destination-search').value.trim();
+  const searchId = ++destinationSearchId;
+  
+  if (!query && !destinationCategory) {
+    const recent = getRecentDestinations();
+    showDestinationResults(recent, recent.length > 0 ? 'Recent' : 'Type a room, name or number');
+    return;
+  }
+  
+  let pois;
+  try {
+    const params = new URLSearchParams({ q: query, limit: DESTINATION_RESULTS });
+    if (destinationCategory) {
+      params.set('category', destinationCategory);
+    }
+    const response = await fetch(`${floorApiUrl('directory')}?${params}`);
     if (!response.ok) {
-      console.log('No room mappings found');
-      return;
+      throw new Error(`Search failed with ${response.status}`);
     }
+    pois = (await response.json()).pois || [];
+  } catch (error) {
+    // Search the directory loaded with the map instead
+    console.warn('Destination search on the server failed:', error);
+    pois = searchPois(directory, query, { category: destinationCategory, limit: DESTINATION_RESULTS });
+  }
+  
+  // The user has typed on since this search started
+  if (searchId !== destinationSearchId) return;
+  showDestinationResults(pois, pois.length > 0 ? null : 'No matching rooms');
+}
+
+function showDestinationResults(pois, hint) {
+  const list = document.getElementById('destination-results');
+  list.innerHTML = '';
+  
+  // With a category picked, offer whichever of its open POIs is quickest to reach
+  if (destinationCategory && directory.some(poi => poi.category === destinationCategory && poi.open !== false)) {
+    const category = destinationCategory;
+    const item = document.createElement('li');
+    item.textContent = nearestLabel(category);
+    item.classList.toggle('selected', Boolean(selectedDestination) && selectedDestination.category === category);
+    item.addEventListener('click', () => selectNearest(category));
+    list.appendChild(item);
+  }
+  
+  if (hint) {
+    const item = document.createElement('li');
+    item.className = 'destination-hint';
+    item.textContent = hint;
+    list.appendChild(item);
+  }
+  
+  pois.forEach(poi => {
+    const item = document.createElement('li');
+    item.textContent = poi.name;
+    item.classList.toggle('selected', Boolean(selectedDestination) && !selectedDestination.category && poi.id === destinationPoiId());
     
-    const data = await response.json();
-    const roomMapping = data.roomMapping || {};
-    
-    // Get unique room names
-    const rooms = [...new Set(Object.values(roomMapping))];
-    
-    // Populate dropdown
-    const select = document.getElementById('destination-room');
-    select.innerHTML = '<option value="">-- Select a room --</option>';
-    
-    rooms.forEach(room => {
-      const option = document.createElement('option');
-      option.value = room;
-      option.textContent = room;
-      select.appendChild(option);
-    });
+    const details = poiDetails(poi);
+    if (details) {
+      const detail = document.createElement('span');
+      detail.className = 'destination-detail';
+      detail.textContent = details;
+      item.appendChild(detail);
+    }
     
-    console.log('Loaded rooms:', rooms);
+    item.addEventListener('click', () => selectDestination(poi));
+    list.appendChild(item);
+  });
+}
+
+async function selectDestination(poi) {
+  const { floorId, nodeId: poiId } = parseNodeId(poi.id, getFloorId());
+  selectedDestination = { floorId, poiId, name: poi.name };
+  console.log('Destination selected:', poi.name, poi.id);
+  rememberDestination(selectedDestination);
+  
+  document.getElementById('destination-search').value = poi.name;
+  showDestinationResults([poi]);
+  await loadSelectedDestination();
+}
+
+// Navigate to whichever POI of the category the route finds quickest to reach
+async function selectNearest(category) {
+  selectedDestination = { category, name: nearestLabel(category) };
+  console.log('Destination selected:', selectedDestination.name);
+  
+  document.getElementById('destination-search').value = '';
+  showDestinationResults([]);
+  await loadSelectedDestination();
+}
+
+// "Nearest restroom"
+function nearestLabel(category) {
+  return `Nearest ${POI_CATEGORIES[category].label.toLowerCase()}`;
+}
+
+async function loadSelectedDestination() {
+  // Reset navigation state when changing destination
+  navigationActive = false;
+  fallbackAccepted = false;
+  
+  // Load graph data and destination cube when room is selected
+  await loadGraphData();
+  await loadDestinationCube();
+  
+  // Show start navigation button after destination is loaded
+  const startNavButton = document.getElementById('start-navigation-button');
+  if (startNavButton && destinationNodeId) {
+    startNavButton.style.display = 'block';
+    startNavButton.textContent = 'Start Navigation';
+    startNavButton.classList.remove('active');
+  } else {
+    console.error('Could not load destination:', selectedDestination.name);
+  }
+}
+
+// Stored as [{ venueId, floorId, poiId }], newest first
+function readRecentDestinations() {
+  try {
+    return JSON.parse(localStorage.getItem(RECENT_DESTINATIONS_KEY)) || [];
   } catch (error) {
-    console.error('Error loading room mappings:', error);
-    const select = document.getElementById('destination-room');
-    select.innerHTML = '<option value="">No rooms available</option>';
+    console.warn('Ignoring unreadable recent destinations');
+    return [];
   }
 }
 
-async function loadDestinationCube() {
+// Recently picked destinations of this venue that are still in the directory
+function getRecentDestinations() {
+  const venueId = getVenueId() || 'default';
+  return readRecentDestinations()
+    .filter(entry => entry.venueId === venueId)
+    .map(entry => directory.find(poi => poi.id === qualifyNodeId(entry.floorId, entry.poiId, getFloorId())))
+    .filter(Boolean);
+}
+
+function rememberDestination({ floorId, poiId }) {
+  const venueId = getVenueId() || 'default';
+  const recent = readRecentDestinations()
+    .filter(entry => !(entry.venueId === venueId && entry.floorId === floorId && entry.poiId === poiId));
+  recent.unshift({ venueId, floorId, poiId });
+  const ofVenue = recent.filter(entry => entry.venueId === venueId).slice(0, MAX_RECENT_DESTINATIONS);
+  localStorage.setItem(RECENT_DESTINATIONS_KEY, JSON.stringify([
+    ...ofVenue,
+    ...recent.filter(entry => entry.venueId !== venueId)
+  ]));
+}
+
+async function loadAnchorPoints() {
   try {
-    // Load room mappings to find the node ID for selected room
-    const roomResponse = await fetch(ROOMS_API_URL);
-    if (!roomResponse.ok) {
-      console.log('No room mappings found');
+    const response = await fetch(floorApiUrl('anchors'));
+    if (!response.ok) {
+      console.log('No anchor points found');
       return;
     }
-    
-    const roomData = await roomResponse.json();
-    const roomMapping = roomData.roomMapping || {};
-    
-    // Find node ID that maps to selected destination
-    destinationNodeId = null;
-    for (const [nodeId, room] of Object.entries(roomMapping)) {
-      if (room === selectedDestination) {
-        destinationNodeId = nodeId;
-        break;
-      }
+    const data = await response.json();
+    anchorPoints = data.anchors || [];
+    console.log(`Loaded ${anchorPoints.length} anchor points`);
+  } catch (error) {
+    console.error('Error loading anchor points:', error);
+  }
+}
+
+// Re-anchor at a registered marker in view or at the nearest surveyed anchor point the user
+// is standing on, then re-align the waypoints. The route, destination and trip carry on.
+function onReanchorClick() {
+  if (!xrSession || !referenceAnchor) return;
+  
+  const xrCamera = renderer.xr.getCamera();
+  const cameraPosition = new THREE.Vector3();
+  xrCamera.getWorldPosition(cameraPosition);
+  
+  // A marker pins both position and orientation
+  if (visibleMarkers.length > 0) {
+    const { marker, position, quaternion } = visibleMarkers[0];
+    const sessionPose = {
+      position: { x: position.x, y: position.y, z: position.z },
+      orientation: { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w }
+    };
+    addAlignmentObservation(`marker:${marker.id}`, posePairs(sessionPose, marker.pose), marker.pose.position, position, marker.id);
+    return;
+  }
+  
+  // Otherwise the nearest anchor point, as the current alignment predicts it
+  let nearest = null;
+  let minDistance = Infinity;
+  anchorPoints.forEach(anchor => {
+    const predicted = anchorToSession(referenceAnchor, anchor.position);
+    const distance = Math.hypot(predicted.x - cameraPosition.x, predicted.z - cameraPosition.z);
+    if (distance < minDistance) {
+      minDistance = distance;
+      nearest = anchor;
     }
+  });
+  
+  if (!nearest || minDistance > REANCHOR_RADIUS) {
+    alert('No anchor point nearby.\n\nStand on a surveyed anchor point or point the camera at a marker.');
+    return;
+  }
+  
+  const name = nearest.name || nearest.id;
+  if (!confirm(`Are you standing at anchor point ${name}?`)) return;
+  
+  const pairs = [{ from: nearest.position, to: { x: cameraPosition.x, y: cameraPosition.y, z: cameraPosition.z }, weight: 1 }];
+  addAlignmentObservation(`anchor:${nearest.id}`, pairs, nearest.position, cameraPosition, name);
+}
+
+// Refit referenceAnchor with a new observation and move the waypoints accordingly
+function addAlignmentObservation(id, pairs, anchorPosition, observedPosition, name) {
+  const before = anchorToSession(referenceAnchor, anchorPosition);
+  const correction = Math.hypot(before.x - observedPosition.x, before.z - observedPosition.z);
+  
+  // Older observations count less; seeing the same anchor again replaces it
+  alignmentObservations = alignmentObservations
+    .filter(observation => observation.id !== id)
+    .map(observation => ({
+      id: observation.id,
+      pairs: observation.pairs.map(pair => ({ ...pair, weight: pair.weight * OBSERVATION_DECAY }))
+    }));
+  alignmentObservations.push({ id, pairs });
+  
+  referenceAnchor = fitRigidTransform(
+    alignmentObservations.flatMap(observation => observation.pairs),
+    { yawOnly: alignmentMode === 'yaw' }
+  );
+  alignWaypoints();
+  console.log(`Re-anchored at ${name}, corrected ${correction.toFixed(2)}m using ${alignmentObservations.length} observations`);
+  
+  // Redraw the current route at the corrected positions
+  if (navigationActive && fullNavigationPath.length > 1) {
+    visualizePath(fullNavigationPath);
+  }
+  showRouteNotice(`Re-anchored at ${name} (was ${correction.toFixed(1)} m off)`);
+}
+
+async function loadCalibrationMarkers() {
+  const floors = venueFloors.length > 0 ? venueFloors : [{ id: getFloorId() || 'default' }];
+  ({ trackedImages, trackedMarkers } = await loadTrackedMarkers(
+    floors.map(floor => ({ id: floor.id, url: floorApiUrl('markers', floor.id) }))
+  ));
+}
+
+function floorHasMarkers() {
+  const floorId = getFloorId() || 'default';
+  return trackedMarkers.some(marker => marker.pose && marker.floorId === floorId);
+}
+
+// ID of the selected POI relative to the current floor, as used by /api/directory and /api/route
+function destinationPoiId() {
+  return qualifyNodeId(selectedDestination.floorId, selectedDestination.poiId, getFloorId());
+}
+
+// The POIs the route may lead to: the selected one, or the open POIs of the selected category
+// (any exit when evacuating)
+function destinationCandidates() {
+  if (!selectedDestination) {
+    return [];
+  }
+  if (selectedDestination.category) {
+    return directory.filter(poi => poi.category === selectedDestination.category && (poi.open !== false || evacuationMode));
+  }
+  return directory.filter(poi => poi.id === destinationPoiId());
+}
+
+// The POI the route leads to, e.g. the restroom picked for "Nearest restroom"
+function routeDestination() {
+  const poi = destinationCandidates().find(p => p.entrances.includes(destinationNodeId));
+  return poi ? { id: poi.id, name: poi.name } : { id: null, name: selectedDestination.name };
+}
+
+// "A201 · Lab · Floor 3 · Closed now": room number, category, the floor when it isn't the current
+// one and a note when closed
+function poiDetails(poi) {
+  const details = [];
+  if (poi.room && poi.room !== poi.name) {
+    details.push(poi.room);
+  }
+  if (poi.category !== 'other') {
+    details.push(POI_CATEGORIES[poi.category].label);
+  }
+  if (poi.floor !== getFloorId()) {
+    details.push(getFloorName(poi.floor));
+  }
+  if (poi.open === false) {
+    details.push('Closed now');
+  }
+  return details.join(' · ');
+}
+
+async function loadDestinationCube() {
+  try {
+    // Entrances of the selected POI(s), relative to the current floor (may be on another floor).
+    // Until a route picks the best one, the first entrance stands in for the destination.
+    destinationEntrances = destinationCandidates().flatMap(poi => poi.entrances);
+    destinationNodeId = destinationEntrances[0] || null;
     
     if (!destinationNodeId) {
-      console.log('No node found for destination:', selectedDestination);
+      console.log('No entrance found for destination:', selectedDestination && selectedDestination.name);
       return;
     }
     
-    console.log('Destination node:', destinationNodeId, 'for room:', selectedDestination);
+    console.log('Destination entrances:', destinationEntrances.join(', '), 'for:', selectedDestination.name);
     
     // Load cube positions
-    const posResponse = await fetch(API_URL);
+    const posResponse = await fetch(floorApiUrl('positions'));
     if (!posResponse.ok) {
       console.log('No saved positions found');
       return;
@@ -424,39 +865,15 @@ async function loadDestinationCube() {
     // Clear existing cubes
     cubes.forEach(cube => scene.remove(cube));
     cubes = [];
-
-    // Cached reference anchors and orientations (translation + rotation alignment)
-    const savedRefPos = (posData.referenceAnchor && posData.referenceAnchor.position) ? posData.referenceAnchor.position : { x: 0, y: 0, z: 0 };
-    const savedRefQuat = (posData.referenceAnchor && posData.referenceAnchor.orientation)
-      ? new THREE.Quaternion(
-          posData.referenceAnchor.orientation.x,
-          posData.referenceAnchor.orientation.y,
-          posData.referenceAnchor.orientation.z,
-          posData.referenceAnchor.orientation.w
-        )
-      : null;
-
-    const userRefPos = referenceAnchor && referenceAnchor.position ? referenceAnchor.position : { x: 0, y: 0, z: 0 };
-    const userRefQuat = (referenceAnchor && referenceAnchor.orientation)
-      ? new THREE.Quaternion(
-          referenceAnchor.orientation.x,
-          referenceAnchor.orientation.y,
-          referenceAnchor.orientation.z,
-          referenceAnchor.orientation.w
-        )
-      : null;
-
-    // Rotation delta from saved reference to current calibration (if orientations exist)
-    const deltaQuat = (savedRefQuat && userRefQuat)
-      ? userRefQuat.clone().multiply(savedRefQuat.clone().invert())
-      : null;
+    cubePositions = {};
+    savedPositions = posData;
 
     // Load ALL cubes, but only show destination initially
     posData.cubes.forEach(cubeData => {
       const geometry = new THREE.BoxGeometry(0.2, 0.2, 0.2);
       
-      // Check if this is the destination cube
-      const isDestination = cubeData.id === destinationNodeId;
+      // Check if this is an entrance of the destination
+      const isDestination = destinationEntrances.includes(cubeData.id);
       
       const material = new THREE.MeshStandardMaterial({ 
         color: isDestination ? 0xff0000 : 0x00ff88, // Red for destination, green for others
@@ -467,11 +884,9 @@ async function loadDestinationCube() {
       });
       const cube = new THREE.Mesh(geometry, material);
       
-      // Extract and store the cube ID from the saved data
-      const cubeIdMatch = cubeData.id.match(/cube_(\d+)/);
-      if (cubeIdMatch) {
-        cube.userData.cubeId = parseInt(cubeIdMatch[1]);
-      }
+      // Node IDs are usually cube_N but can be any ID, e.g. 'lobby'
+      cube.userData.nodeId = cubeData.id;
+      cube.userData.heightAboveFloor = cubeData.heightAboveFloor;
       
       // Mark if this is the destination cube
       cube.userData.isDestination = isDestination;
@@ -479,75 +894,65 @@ async function loadDestinationCube() {
       // Only show destination cube initially, hide others
       cube.visible = isDestination;
       
-      // Translate into saved reference frame
-      const relativePos = new THREE.Vector3(
-        cubeData.worldPosition.x - savedRefPos.x,
-        cubeData.worldPosition.y - savedRefPos.y,
-        cubeData.worldPosition.z - savedRefPos.z
-      );
-
-      // Rotate into current calibration frame if orientations exist
-      if (deltaQuat) {
-        relativePos.applyQuaternion(deltaQuat);
-      }
-
-      // Translate into current user reference frame
-      cube.position.set(
-        relativePos.x + userRefPos.x,
-        relativePos.y + userRefPos.y,
-        relativePos.z + userRefPos.z
-      );
-      
-      cube.matrixAutoUpdate = true;
-      cube.updateMatrix();
-      
       scene.add(cube);
       cubes.push(cube);
     });
     
-    console.log(`Loaded ${cubes.length} cubes (showing only destination: ${destinationNodeId})`);
+    // Place the cubes relative to the current calibration
+    alignWaypoints();
     
-    // Store cube positions for pathfinding (aligned to user calibration)
-    posData.cubes.forEach(cubeData => {
-      const relativePos = new THREE.Vector3(
-        cubeData.worldPosition.x - savedRefPos.x,
-        cubeData.worldPosition.y - savedRefPos.y,
-        cubeData.worldPosition.z - savedRefPos.z
-      );
-
-      if (deltaQuat) {
-        relativePos.applyQuaternion(deltaQuat);
-      }
-
-      const pos = new THREE.Vector3(
-        relativePos.x + userRefPos.x,
-        relativePos.y + userRefPos.y,
-        relativePos.z + userRefPos.z
-      );
-      cubePositions[cubeData.id] = pos;
-    });
+    console.log(`Loaded ${cubes.length} cubes (showing only destination: ${destinationEntrances.join(', ')})`);
   } catch (error) {
     console.error('Error loading destination cube:', error);
   }
 }
 
+// The waypoint of a node on this floor, e.g. of a route step
+function cubeOfNode(nodeId) {
+  return cubes.find(cube => cube.userData.nodeId === nodeId);
+}
+
+// Move every waypoint to where the saved map puts it under the current referenceAnchor
+function alignWaypoints() {
+  if (!savedPositions || !referenceAnchor) return;
+  
+  const savedAnchor = savedPositions.referenceAnchor;
+  const byId = new Map(savedPositions.cubes.map(cubeData => [cubeData.id, cubeData]));
+  cubes.forEach(cube => {
+    const cubeData = byId.get(cube.userData.nodeId);
+    if (!cubeData) return;
+    
+    const position = savedPointToSession(savedAnchor, referenceAnchor, cubeData.worldPosition, { yawOnly: alignmentMode === 'yaw' });
+    cube.position.set(position.x, position.y, position.z);
+    cube.updateMatrix();
+    cubePositions[cubeData.id] = cube.position.clone();
+  });
+}
+
 async function loadGraphData() {
   try {
-    const response = await fetch(GRAPH_API_URL);
+    // Graph of the whole venue so routes can use stairs and elevators to other floors
+    const response = await fetch(floorApiUrl('venue-graph'));
     if (!response.ok) {
       console.log('No graph data found');
       return;
     }
     
     const data = await response.json();
-    adjacencyList = data.adjacencyList || {};
-    console.log('Loaded graph with', Object.keys(adjacencyList).length, 'nodes');
+    venueFloors = data.floors || [];
+    console.log('Loaded graph with', Object.keys(data.adjacencyList || {}).length, 'nodes');
+    
+    // Rooms and other places to navigate to, with IDs relative to this floor
+    const directoryResponse = await fetch(floorApiUrl('directory'));
+    if (directoryResponse.ok) {
+      directory = (await directoryResponse.json()).pois || [];
+    }
   } catch (error) {
     console.error('Error loading graph data:', error);
   }
 }
 
-function onStartNavigationClick() {
+async function onStartNavigationClick() {
   if (!xrSession || !referenceAnchor) {
     alert('Please calibrate your position first');
     return;
@@ -572,18 +977,32 @@ function onStartNavigationClick() {
       calibrationStatus.style.display = 'none';
     }
     
+    // Start timing the trip (it carries on after a floor change)
+    if (!trip) {
+      trip = { startTime: performance.now(), walked: 0, lastPosition: null };
+    }
+    hideArrivalPanel();
+    
     // Find nearest cube once
     findNearestCube();
     
     // Calculate and visualize path
     if (nearestNodeId && destinationNodeId) {
-      const result = dijkstra(nearestNodeId, destinationNodeId);
-      if (result && result.path) {
+      const result = await findRoute(nearestNodeId);
+      
+      // Navigation may have been stopped while the route was computed
+      if (!navigationActive) return;
+      
+      if (result.path) {
+        // The route leads to the entrance of the destination that is quickest to reach
+        destinationNodeId = result.to;
         console.log('Path found:', result.path.join(' → '), 'Distance:', result.distance.toFixed(2) + 'm');
-        visualizePath(result.path);
+        visualizePath(splitRouteAtFloorChange(result));
       } else {
-        console.error('No path found to destination');
-        alert('No path found to destination');
+        if (result.error) {
+          console.error(result.error);
+          alert(result.error);
+        }
         navigationActive = false;
         startNavButton.textContent = 'Start Navigation';
         startNavButton.classList.remove('active');
@@ -596,31 +1015,135 @@ function onStartNavigationClick() {
       startNavButton.classList.remove('active');
     }
   } else {
-    startNavButton.textContent = 'Start Navigation';
-    startNavButton.classList.remove('active');
-    
-    // Show room selector again when stopping navigation (for new destination selection)
-    const roomSelectorOverlay = document.getElementById('room-selector-overlay');
-    if (roomSelectorOverlay) {
-      roomSelectorOverlay.style.display = 'block';
+    trip = null;
+    endNavigation();
+  }
+}
+
+// Stop navigating and go back to destination selection
+function endNavigation() {
+  navigationActive = false;
+  evacuationMode = false;
+  const startNavButton = document.getElementById('start-navigation-button');
+  startNavButton.textContent = 'Start Navigation';
+  startNavButton.classList.remove('active');
+  
+  // Show room selector again when stopping navigation (for new destination selection)
+  const roomSelectorOverlay = document.getElementById('room-selector-overlay');
+  if (roomSelectorOverlay) {
+    roomSelectorOverlay.style.display = 'block';
+  }
+  
+  // Don't show calibration status - keep it hidden
+  // User can select a new destination without recalibrating
+  
+  // Clear path visualization
+  resetPath();
+  pendingFloorChange = null;
+  hideFloorChangeStep();
+  
+  // Hide all cubes except destination
+  cubes.forEach(cube => {
+    if (cube.userData.isDestination) {
+      cube.visible = true;
+      cube.material.color.setHex(0xff0000);
+      cube.material.emissive.setHex(0xff0000);
+    } else {
+      cube.visible = false;
     }
+  });
+}
+
+// Add up the distance walked since the last frame, ignoring jitter
+function updateTripDistance() {
+  if (!trip || !xrSession) return;
+  
+  const xrCamera = renderer.xr.getCamera();
+  const cameraPosition = new THREE.Vector3();
+  xrCamera.getWorldPosition(cameraPosition);
+  cameraPosition.y = 0;
+  
+  if (!trip.lastPosition) {
+    trip.lastPosition = cameraPosition;
+    return;
+  }
+  const step = trip.lastPosition.distanceTo(cameraPosition);
+  if (step >= MIN_STEP_DISTANCE) {
+    trip.walked += step;
+    trip.lastPosition = cameraPosition;
+  }
+}
+
+// End navigation once the user is within ARRIVAL_RADIUS of an entrance of the destination on its floor
+function checkArrival() {
+  if (!xrSession || !destinationNodeId) return;
+  
+  const xrCamera = renderer.xr.getCamera();
+  const cameraPosition = new THREE.Vector3();
+  xrCamera.getWorldPosition(cameraPosition);
+  
+  for (const nodeId of destinationEntrances) {
+    const entrancePosition = cubePositions[nodeId];
+    if (!entrancePosition) continue;
     
-    // Don't show calibration status - keep it hidden
-    // User can select a new destination without recalibrating
-    
-    // Clear path visualization
-    resetPath();
-    
-    // Hide all cubes except destination
-    cubes.forEach(cube => {
-      if (cube.userData.isDestination) {
-        cube.visible = true;
-        cube.material.color.setHex(0xff0000);
-        cube.material.emissive.setHex(0xff0000);
-      } else {
-        cube.visible = false;
-      }
-    });
+    const distance = Math.hypot(cameraPosition.x - entrancePosition.x, cameraPosition.z - entrancePosition.z);
+    if (distance <= ARRIVAL_RADIUS) {
+      destinationNodeId = nodeId;
+      onArrived();
+      return;
+    }
+  }
+}
+
+function onArrived() {
+  updateTripDistance();
+  const destination = routeDestination();
+  const summary = {
+    room: destination.name,
+    poi: destination.id,
+    nodeId: destinationNodeId,
+    floorId: getFloorId(),
+    distance: trip ? trip.walked : 0, // metres
+    duration: trip ? (performance.now() - trip.startTime) / 1000 : 0 // seconds
+  };
+  trip = null;
+  console.log('Arrived at', summary.room, summary);
+  
+  endNavigation();
+  
+  // The room selector comes back when the user closes the arrival panel
+  const roomSelectorOverlay = document.getElementById('room-selector-overlay');
+  if (roomSelectorOverlay) {
+    roomSelectorOverlay.style.display = 'none';
+  }
+  
+  const minutes = Math.floor(summary.duration / 60);
+  const seconds = Math.floor(summary.duration % 60);
+  document.getElementById('arrival-room').textContent = `You have arrived at ${summary.room}`;
+  document.getElementById('arrival-stats').textContent =
+    `${summary.distance.toFixed(0)} m walked in ${minutes}:${String(seconds).padStart(2, '0')}`;
+  document.getElementById('arrival-panel').style.display = 'block';
+  speak(`You have arrived at ${summary.room}`);
+  
+  // Let host pages and analytics know, e.g. window.addEventListener('navigation:arrived', ...)
+  window.dispatchEvent(new CustomEvent('navigation:arrived', { detail: summary }));
+  if (window.parent !== window && HOST_ORIGIN) {
+    window.parent.postMessage({ type: 'navigation:arrived', ...summary }, HOST_ORIGIN);
+  }
+}
+
+function onArrivalDone() {
+  hideArrivalPanel();
+  const roomSelectorOverlay = document.getElementById('room-selector-overlay');
+  if (roomSelectorOverlay) {
+    roomSelectorOverlay.style.display = 'block';
+  }
+}
+
+function hideArrivalPanel() {
+  const panel = document.getElementById('arrival-panel');
+  if (panel) {
+    panel.style.display = 'none';
   }
 }
 
@@ -647,75 +1170,308 @@ function findNearestCube() {
   });
   
   if (nearestCube) {
-    nearestNodeId = `cube_${nearestCube.userData.cubeId}`;
+    nearestNodeId = nearestCube.userData.nodeId;
     console.log('Nearest node:', nearestNodeId, 'Distance:', minDistance.toFixed(2) + 'm');
   }
 }
 
-function dijkstra(startNode, endNode) {
-  const distances = {};
-  const previous = {};
-  const unvisited = new Set();
+// Ask the server for a route with the selected profile. When there is no step-free route,
+// explain which barriers block it and let the user fall back to the standard route.
+async function findRoute(startNode) {
+  const params = new URLSearchParams({ from: startNode, profile: evacuationMode ? 'evacuation' : routingProfile });
+  if (selectedDestination.category) {
+    // One search for the quickest to reach of all open POIs of the category
+    params.set('category', selectedDestination.category);
+    if (!evacuationMode) {
+      params.set('open', 'true');
+    }
+  } else {
+    params.set('to', destinationPoiId());
+  }
+  
+  try {
+    const response = await fetch(`${floorApiUrl('route')}?${params}`);
+    const data = await response.json();
+    if (response.ok) {
+      return data;
+    }
+    if (!data.fallback) {
+      return { error: data.error || 'No path found to destination' };
+    }
+    
+    const barriers = data.barriers.map(b => `${b.barrier} (${b.from} → ${b.to})`).join(', ');
+    console.warn(`${data.error}, the standard route uses ${barriers}`);
+    
+    // Don't ask again when rerouting to a destination the user already accepted the fallback for
+    if (fallbackAccepted) {
+      return data.fallback;
+    }
+    fallbackAccepted = confirm(
+      `${data.error}.\n\n` +
+      `The only route uses ${barriers}.\n\n` +
+      'Show this route anyway?'
+    );
+    return fallbackAccepted ? data.fallback : {};
+  } catch (error) {
+    console.error('Error computing route:', error);
+    return { error: 'Could not compute route' };
+  }
+}
 
-  // Initialize distances
-  for (const node in cubePositions) {
-    distances[node] = Infinity;
-    previous[node] = null;
-    unvisited.add(node);
+// Keep the part of the route on the current floor and remember where it leaves the floor
+function splitRouteAtFloorChange(route) {
+  pendingFloorChange = null;
+  const index = route.segments.findIndex(segment => segment.floor && segment.floor !== getFloorId());
+  if (index === -1) {
+    return route.path;
   }
-  distances[startNode] = 0;
+  
+  const segment = route.segments[index];
+  pendingFloorChange = {
+    nodeId: segment.from,
+    floorId: segment.floor,
+    instruction: segment.instruction
+  };
+  console.log('Route changes floors at', segment.from, '→', segment.floor);
+  
+  return route.path.slice(0, index + 1);
+}
 
-  while (unvisited.size > 0) {
-    // Find node with minimum distance
-    let currentNode = null;
-    let minDistance = Infinity;
-    for (const node of unvisited) {
-      if (distances[node] < minDistance) {
-        minDistance = distances[node];
-        currentNode = node;
-      }
-    }
+function getFloorName(floorId) {
+  const floor = venueFloors.find(f => f.id === floorId);
+  return floor ? floor.name : `Floor ${floorId}`;
+}
 
-    if (currentNode === null || distances[currentNode] === Infinity) {
-      break; // No path exists
-    }
+// Show the "Take the elevator to Floor 3" step once the user reaches the connector
+function updateFloorChangeStep() {
+  if (!pendingFloorChange || !xrSession) return;
+  
+  const connectorCube = cubeOfNode(pendingFloorChange.nodeId);
+  let nearConnector = fullNavigationPath.length < 2;
+  if (connectorCube) {
+    const xrCamera = renderer.xr.getCamera();
+    const cameraPosition = new THREE.Vector3();
+    xrCamera.getWorldPosition(cameraPosition);
+    const connectorPosition = new THREE.Vector3();
+    connectorCube.getWorldPosition(connectorPosition);
+    nearConnector = nearConnector || cameraPosition.distanceTo(connectorPosition) < 3.0;
+  }
+  
+  const step = document.getElementById('floor-change-step');
+  if (nearConnector && step.style.display !== 'block') {
+    const floorName = getFloorName(pendingFloorChange.floorId);
+    document.getElementById('floor-change-text').textContent = pendingFloorChange.instruction;
+    document.getElementById('floor-change-button').textContent = `I'm on ${floorName}`;
+    step.style.display = 'block';
+  }
+}
 
-    if (currentNode === endNode) {
-      break; // Found shortest path to end
+function hideFloorChangeStep() {
+  const step = document.getElementById('floor-change-step');
+  if (step) {
+    step.style.display = 'none';
+  }
+}
+
+// The user took the stairs/elevator: switch floors and recalibrate against the new floor's anchor
+function onFloorChangeConfirmed() {
+  if (!pendingFloorChange) return;
+  
+  const { floorId } = pendingFloorChange;
+  pendingFloorChange = null;
+  hideFloorChangeStep();
+  
+  // Stop navigating on the old floor but keep the selected destination
+  navigationActive = false;
+  resetPath();
+  cubes.forEach(cube => scene.remove(cube));
+  cubes = [];
+  cubePositions = {};
+  referenceAnchor = null;
+  savedPositions = null;
+  anchorPoints = [];
+  alignmentObservations = [];
+  document.getElementById('reanchor-button').style.display = 'none';
+  document.getElementById('evacuate-button').style.display = 'none';
+  
+  // Positions on the new floor aren't comparable with this one
+  if (trip) {
+    trip.lastPosition = null;
+  }
+  
+  setFloorId(floorId);
+  resumeAfterCalibration = true;
+  console.log('Switched to floor', floorId, '- waiting for calibration');
+  
+  const startNavButton = document.getElementById('start-navigation-button');
+  startNavButton.style.display = 'none';
+  startNavButton.textContent = 'Start Navigation';
+  startNavButton.classList.remove('active');
+  
+  const calibrateButton = document.getElementById('calibrate-button');
+  calibrateButton.style.display = 'block';
+  updateCalibrationStatus(false);
+}
+
+// Continue the route to the selected destination after calibrating on a new floor
+async function resumeNavigation() {
+  await loadGraphData();
+  await loadDestinationCube();
+  
+  if (!destinationNodeId) {
+    console.error('Could not find destination on new floor:', selectedDestination.name);
+    const roomSelectorOverlay = document.getElementById('room-selector-overlay');
+    if (roomSelectorOverlay) {
+      roomSelectorOverlay.style.display = 'block';
     }
+    return;
+  }
+  
+  const startNavButton = document.getElementById('start-navigation-button');
+  startNavButton.style.display = 'block';
+  onStartNavigationClick();
+}
 
-    unvisited.delete(currentNode);
+// Horizontal distance from a point to the route line on this floor
+function distanceToRoute(point) {
+  const segment = new THREE.Line3();
+  const closest = new THREE.Vector3();
+  const flatPoint = new THREE.Vector3(point.x, 0, point.z);
+  let minDistance = Infinity;
+  
+  for (let i = 0; i < fullNavigationPath.length - 1; i++) {
+    const cube1 = cubeOfNode(fullNavigationPath[i]);
+    const cube2 = cubeOfNode(fullNavigationPath[i + 1]);
+    if (!cube1 || !cube2) continue;
+    
+    cube1.getWorldPosition(segment.start);
+    cube2.getWorldPosition(segment.end);
+    segment.start.y = 0;
+    segment.end.y = 0;
+    segment.closestPointToPoint(flatPoint, true, closest);
+    minDistance = Math.min(minDistance, closest.distanceTo(flatPoint));
+  }
+  
+  return minDistance;
+}
 
-    // Check neighbors
-    if (adjacencyList[currentNode]) {
-      for (const edge of adjacencyList[currentNode]) {
-        const neighbor = edge.node || edge;
-        const weight = edge.distance || 1;
-        
-        if (unvisited.has(neighbor)) {
-          const altDistance = distances[currentNode] + weight;
-          if (altDistance < distances[neighbor]) {
-            distances[neighbor] = altDistance;
-            previous[neighbor] = currentNode;
-          }
-        }
-      }
+// Reroute once the user has been away from the route for OFF_ROUTE_DURATION,
+// so a brief detour or tracking glitch doesn't replace the route
+function checkOffRoute() {
+  if (rerouting || !xrSession) return;
+  
+  const xrCamera = renderer.xr.getCamera();
+  const cameraPosition = new THREE.Vector3();
+  xrCamera.getWorldPosition(cameraPosition);
+  
+  // Infinity means none of the route's waypoints are loaded, so there's nothing to compare against
+  const distance = distanceToRoute(cameraPosition);
+  if (distance <= OFF_ROUTE_DISTANCE || distance === Infinity) {
+    offRouteSince = null;
+    return;
+  }
+  
+  const now = performance.now();
+  if (offRouteSince === null) {
+    offRouteSince = now;
+    console.log('Left the route:', distance.toFixed(2) + 'm away');
+  } else if (now - offRouteSince >= OFF_ROUTE_DURATION) {
+    offRouteSince = null;
+    rerouteFromCurrentPosition();
+  }
+}
+
+// Plan a new route from the waypoint nearest to the user and replace the one on screen.
+// reason is shown instead of "Route updated", e.g. when closures changed rather than the user
+// leaving the route; then the user is also told if no route is left.
+async function rerouteFromCurrentPosition(reason) {
+  rerouting = true;
+  findNearestCube();
+  console.log(reason || 'Off route', '- recomputing from', nearestNodeId);
+  
+  const result = await findRoute(nearestNodeId);
+  rerouting = false;
+  
+  // Navigation may have been stopped while the route was computed
+  if (!navigationActive) return;
+  
+  if (!result.path) {
+    // Keep the old route rather than leaving the user without arrows
+    console.warn('Could not update route:', result.error);
+    if (reason && result.error) {
+      showRouteNotice(result.error);
+      speak(result.error);
     }
+    return;
   }
+  
+  // Another entrance may be closer now
+  destinationNodeId = result.to;
+  console.log('Route updated:', result.path.join(' → '), 'Distance:', result.distance.toFixed(2) + 'm');
+  hideFloorChangeStep();
+  visualizePath(splitRouteAtFloorChange(result));
+  showRouteNotice(reason || 'Route updated');
+}
 
-  // Reconstruct path
-  const path = [];
-  let current = endNode;
-  while (current !== null) {
-    path.unshift(current);
-    current = previous[current];
+// Closures are pushed by the server (GET .../events) for every floor of the venue. While
+// navigating, the route is recomputed so it avoids newly closed areas or uses reopened ones.
+function listenForClosures() {
+  if (!window.EventSource) {
+    console.warn('Server-sent events not supported, closures are only applied to new routes');
+    return;
   }
+  
+  const events = new EventSource(floorApiUrl('events'));
+  events.addEventListener('closures', (e) => {
+    const { floorId } = JSON.parse(e.data);
+    console.log('Closures changed on floor', floorId);
+    if (navigationActive && !rerouting) {
+      rerouteFromCurrentPosition('Route updated for closed areas');
+    }
+  });
+}
 
-  if (path[0] !== startNode) {
-    return null; // No path found
+// Lead the user to the nearest exit, avoiding elevators and closed areas. Replaces any route
+// in progress.
+async function onEvacuateClick() {
+  if (!referenceAnchor) {
+    alert('Please calibrate your position first');
+    return;
   }
+  
+  evacuationMode = true;
+  selectedDestination = { category: 'exit', name: 'Nearest exit' };
+  fallbackAccepted = false;
+  hideArrivalPanel();
+  navigationActive = false;
+  resetPath();
+  pendingFloorChange = null;
+  hideFloorChangeStep();
+  
+  await loadGraphData();
+  await loadDestinationCube();
+  if (!destinationNodeId) {
+    evacuationMode = false;
+    alert('No exits are mapped for this building. Follow the exit signs.');
+    return;
+  }
+  
+  console.log('Evacuation started');
+  speak('Evacuate. Follow the route to the nearest exit. Do not use elevators.');
+  showRouteNotice('Evacuating to the nearest exit');
+  document.getElementById('start-navigation-button').style.display = 'block';
+  onStartNavigationClick();
+}
 
-  return { path, distance: distances[endNode] };
+// Briefly show a message such as "Route updated" below the top of the screen
+function showRouteNotice(text) {
+  const notice = document.getElementById('route-notice');
+  notice.textContent = text;
+  notice.style.display = 'block';
+  clearTimeout(notice.hideTimeout);
+  notice.hideTimeout = setTimeout(() => {
+    notice.style.display = 'none';
+  }, 3000);
 }
 
 function visualizePath(path) {
@@ -727,6 +1483,12 @@ function visualizePath(path) {
   // Store full path for sliding window
   fullNavigationPath = path;
 
+  // Turn-by-turn maneuvers for this leg, ending at the destination or the floor connector
+  routeManeuvers = buildManeuvers(path, cubePositions, {
+    arrival: pendingFloorChange ? pendingFloorChange.instruction : `Arrive at ${routeDestination().name}`
+  });
+  console.log('Maneuvers:', routeManeuvers.map(m => `${m.text} after ${m.distance.toFixed(1)}m`).join(', '));
+
   // Initially show only nearest 3 waypoints
   updateSlidingWindowPath();
 }
@@ -809,7 +1571,7 @@ function updateSlidingWindowPath() {
   let minDistance = Infinity;
   
   fullNavigationPath.forEach((nodeId, index) => {
-    const cube = cubes.find(c => `cube_${c.userData.cubeId}` === nodeId);
+    const cube = cubeOfNode(nodeId);
     if (cube) {
       const cubeWorldPos = new THREE.Vector3();
       cube.getWorldPosition(cubeWorldPos);
@@ -830,7 +1592,7 @@ function updateSlidingWindowPath() {
 
   // Check if we're close to the destination (last waypoint)
   const destinationNodeId = fullNavigationPath[fullNavigationPath.length - 1];
-  const destinationCube = cubes.find(c => `cube_${c.userData.cubeId}` === destinationNodeId);
+  const destinationCube = cubeOfNode(destinationNodeId);
   let showDestination = false;
   
   if (destinationCube) {
@@ -848,7 +1610,7 @@ function updateSlidingWindowPath() {
   // Draw tubes and arrows between visible waypoints
   for (let i = 0; i < waypointsToShow.length; i++) {
     const nodeId = waypointsToShow[i];
-    const cube = cubes.find(c => `cube_${c.userData.cubeId}` === nodeId);
+    const cube = cubeOfNode(nodeId);
     
     if (!cube) continue;
     
@@ -858,18 +1620,15 @@ function updateSlidingWindowPath() {
     // Draw tube to next waypoint
     if (i < waypointsToShow.length - 1) {
       const nextNodeId = waypointsToShow[i + 1];
-      const nextCube = cubes.find(c => `cube_${c.userData.cubeId}` === nextNodeId);
+      const nextCube = cubeOfNode(nextNodeId);
       
       if (nextCube) {
         const nextCubePos = new THREE.Vector3();
         nextCube.getWorldPosition(nextCubePos);
         
         // Create tube at floor level
-        const floorPoint1 = cubePos.clone();
-        floorPoint1.y = cubePos.y - 0.05; // Slightly below cube center
-        
-        const floorPoint2 = nextCubePos.clone();
-        floorPoint2.y = nextCubePos.y - 0.05;
+        const floorPoint1 = groundPoint(cube, cubePos);
+        const floorPoint2 = groundPoint(nextCube, nextCubePos);
         
         // Calculate midpoint for arrow placement
         const midPoint = new THREE.Vector3().addVectors(floorPoint1, floorPoint2).multiplyScalar(0.5);
@@ -894,8 +1653,8 @@ function updateSlidingWindowPath() {
     const destinationNodeId = fullNavigationPath[fullNavigationPath.length - 1];
     
     if (lastVisibleNode !== destinationNodeId) {
-      const lastCube = cubes.find(c => `cube_${c.userData.cubeId}` === lastVisibleNode);
-      const destCube = cubes.find(c => `cube_${c.userData.cubeId}` === destinationNodeId);
+      const lastCube = cubeOfNode(lastVisibleNode);
+      const destCube = cubeOfNode(destinationNodeId);
       
       if (lastCube && destCube) {
         const lastPos = new THREE.Vector3();
@@ -903,10 +1662,8 @@ function updateSlidingWindowPath() {
         const destPos = new THREE.Vector3();
         destCube.getWorldPosition(destPos);
         
-        const floorPoint1 = lastPos.clone();
-        floorPoint1.y = lastPos.y - 0.05;
-        const floorPoint2 = destPos.clone();
-        floorPoint2.y = destPos.y - 0.05;
+        const floorPoint1 = groundPoint(lastCube, lastPos);
+        const floorPoint2 = groundPoint(destCube, destPos);
         
         // Calculate midpoint for arrow
         const midPoint = new THREE.Vector3().addVectors(floorPoint1, floorPoint2).multiplyScalar(0.5);
@@ -927,12 +1684,76 @@ function updateSlidingWindowPath() {
   
   // Show waypoints
   showPathCubes(waypointsToShow, showDestination);
+
+  // Update the "In 5 m, turn left" instruction
+  updateTurnInstruction(currentPathIndex, cameraPosition);
+}
+
+// Where the route is drawn under a waypoint at position: on the floor when the map says how high
+// above it the waypoint is, else on the floor found by hit testing if the waypoint is a plausible
+// height above that, else just below the waypoint as before
+function groundPoint(cube, position) {
+  const point = position.clone();
+  const height = cube.userData.heightAboveFloor;
+  if (Number.isFinite(height)) {
+    point.y -= height - ROUTE_FLOOR_LIFT;
+  } else if (floorLevel !== null && point.y >= floorLevel && point.y - floorLevel <= MAX_WAYPOINT_HEIGHT) {
+    point.y = floorLevel + ROUTE_FLOOR_LIFT;
+  } else {
+    point.y -= 0.05; // Slightly below cube center
+  }
+  return point;
+}
+
+// Show the next maneuver in the HUD and speak it when it changes or comes close
+function updateTurnInstruction(pathIndex, cameraPosition) {
+  const hud = document.getElementById('turn-instruction');
+  const maneuver = nextManeuver(routeManeuvers, pathIndex);
+  const floorChangeShown = document.getElementById('floor-change-step').style.display === 'block';
+  if (!maneuver || floorChangeShown) {
+    hud.style.display = 'none';
+    return;
+  }
+
+  // Distance to the nearest waypoint, then along the path to the maneuver
+  const nodePosition = cubePositions[fullNavigationPath[pathIndex]];
+  const toNode = nodePosition ? cameraPosition.distanceTo(nodePosition) : 0;
+  const distanceAhead = toNode + distanceAlongPath(fullNavigationPath, cubePositions, pathIndex, maneuver.index);
+
+  const text = describeManeuver(maneuver, distanceAhead);
+  document.getElementById('turn-instruction-icon').textContent = MANEUVER_ICONS[maneuver.type];
+  document.getElementById('turn-instruction-text').textContent = text;
+  hud.style.display = 'flex';
+
+  // Speak each maneuver once when it becomes next and once more when it's imminent
+  const spokenKey = `${maneuver.index}:${distanceAhead < NOW_DISTANCE}`;
+  if (spokenKey !== lastSpokenInstruction) {
+    lastSpokenInstruction = spokenKey;
+    speak(text);
+  }
+}
+
+function speak(text) {
+  if (!voiceGuidance) return;
+  window.speechSynthesis.cancel();
+  window.speechSynthesis.speak(new SpeechSynthesisUtterance(text));
+}
+
+function hideTurnInstruction() {
+  const hud = document.getElementById('turn-instruction');
+  if (hud) {
+    hud.style.display = 'none';
+  }
 }
 
 function resetPath() {
   // Clear path arrays
   pathLines = [];
   fullNavigationPath = [];
+  offRouteSince = null;
+  routeManeuvers = [];
+  lastSpokenInstruction = null;
+  hideTurnInstruction();
   
   // Clear visual tubes and arrows
   clearPathVisualization();
@@ -948,8 +1769,16 @@ function showPathCubes(visibleNodes, showDestination) {
 function updateCalibrationStatus(isCalibrated) {
   const calibrationStatus = document.getElementById('calibration-status');
   if (isCalibrated && referenceAnchor) {
-    calibrationStatus.textContent = 'World Origin Set - Ready for Navigation';
+    calibrationStatus.textContent = rejectedTilt >= 0.5
+      ? `World Origin Set - Ready for Navigation (levelled ${rejectedTilt.toFixed(1)}°)`
+      : 'World Origin Set - Ready for Navigation';
     calibrationStatus.className = 'active';
+  } else if (resumeAfterCalibration) {
+    calibrationStatus.textContent = `Calibrate on ${getFloorName(getFloorId())} to Continue`;
+    calibrationStatus.className = 'inactive';
+  } else if (floorHasMarkers()) {
+    calibrationStatus.textContent = 'Point at a Marker or Click Calibrate';
+    calibrationStatus.className = 'inactive';
   } else {
     calibrationStatus.textContent = 'Click Calibrate to Initialize';
     calibrationStatus.className = 'inactive';
@@ -962,7 +1791,25 @@ function onWindowResize() {
   renderer.setSize(window.innerWidth, window.innerHeight);
 }
 
-function render() {
+function render(timestamp, frame) {
+  // Keep track of the floor to draw the route on
+  if (xrSession && xrHitTestSource) {
+    const cameraPosition = new THREE.Vector3();
+    renderer.xr.getCamera().getWorldPosition(cameraPosition);
+    const floorHit = findFloorHit(frame, xrHitTestSource, renderer.xr.getReferenceSpace(), cameraPosition);
+    if (floorHit) {
+      floorLevel = floorHit.position.y;
+    }
+  }
+
+  // Calibrate automatically when a registered marker comes into view
+  if (xrSession && trackedMarkers.length > 0) {
+    updateVisibleMarkers(frame);
+    if (!referenceAnchor) {
+      calibrateFromMarker();
+    }
+  }
+
   // Rotate all cubes for a nice floating effect
   cubes.forEach(cube => {
     cube.rotation.x += 0.01;
@@ -974,5 +1821,23 @@ function render() {
     updateSlidingWindowPath();
   }
 
+  // Measure the trip and stop at the destination
+  if (navigationActive) {
+    updateTripDistance();
+    if (!pendingFloorChange && fullNavigationPath.length > 0) {
+      checkArrival();
+    }
+  }
+
+  // Recompute the route when the user wanders off it
+  if (navigationActive && fullNavigationPath.length > 1) {
+    checkOffRoute();
+  }
+
+  // Tell the user to change floors when the route leaves this floor
+  if (navigationActive && pendingFloorChange) {
+    updateFloorChangeStep();
+  }
+
   renderer.render(scene, camera);
 }
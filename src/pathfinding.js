@@ -0,0 +1,276 @@
+// Route planning shared by the server (/api/route) and the browser; no Node or DOM APIs.
+// Works on the merged venue graph from buildVenueGraph(): { adjacencyList, roomMapping, positions }.
+import { edgeType, edgeCost, edgeBarrier, describeSegment, DEFAULT_ROUTING_PROFILE } from './graph.js';
+
+// Thrown when the graph can't be searched (e.g. negative or non-numeric distances)
+export class GraphValidationError extends Error {
+  constructor(problems) {
+    super(`Invalid navigation graph: ${problems.join('; ')}`);
+    this.name = 'GraphValidationError';
+    this.problems = problems;
+  }
+}
+
+// Min-heap of { node, priority } used as the A* open set. Stale entries are skipped
+// when popped instead of being updated in place.
+class BinaryHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(node, priority) {
+    const items = this.items;
+    items.push({ node, priority });
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (items[parent].priority <= items[index].priority) break;
+      [items[parent], items[index]] = [items[index], items[parent]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === index) break;
+        [items[smallest], items[index]] = [items[index], items[smallest]];
+        index = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+// All node IDs in the graph, including nodes that only appear as neighbors
+function graphNodes(adjacencyList) {
+  const nodes = new Set(Object.keys(adjacencyList));
+  for (const edges of Object.values(adjacencyList)) {
+    for (const edge of edges) {
+      nodes.add(edge.node || edge);
+    }
+  }
+  return nodes;
+}
+
+export function hasNode(adjacencyList, nodeId) {
+  return graphNodes(adjacencyList).has(nodeId);
+}
+
+// Check the graph before searching it. Errors make the search meaningless (A* needs
+// non-negative costs); warnings are data problems the search can live with.
+export function validateGraph(adjacencyList, positions = {}) {
+  const errors = [];
+  const warnings = [];
+
+  if (!adjacencyList || typeof adjacencyList !== 'object' || Array.isArray(adjacencyList)) {
+    return { errors: ['adjacency list must be an object'], warnings };
+  }
+
+  for (const [nodeId, edges] of Object.entries(adjacencyList)) {
+    if (!Array.isArray(edges)) {
+      errors.push(`edges of ${nodeId} must be an array`);
+      continue;
+    }
+    for (const edge of edges) {
+      const neighbor = edge && (edge.node || edge);
+      if (typeof neighbor !== 'string') {
+        errors.push(`edge of ${nodeId} has no target node`);
+        continue;
+      }
+      const cost = edgeCost(edge);
+      if (!Number.isFinite(cost) || cost < 0) {
+        errors.push(`edge ${nodeId} → ${neighbor} has invalid cost ${cost}`);
+      }
+      if (neighbor === nodeId) {
+        warnings.push(`edge ${nodeId} → ${neighbor} is a self-loop`);
+      }
+    }
+  }
+
+  if (Object.keys(positions).length > 0) {
+    for (const nodeId of graphNodes(adjacencyList)) {
+      if (!positions[nodeId]) {
+        warnings.push(`node ${nodeId} has no position`);
+      }
+    }
+  }
+
+  return { errors, warnings };
+}
+
+// Find the cheapest edge from one node to the next that the profile can use
+export function findEdge(adjacencyList, from, to, profile = DEFAULT_ROUTING_PROFILE) {
+  let best = null;
+  for (const edge of adjacencyList[from] || []) {
+    if ((edge.node || edge) !== to || edgeBarrier(edge, profile)) continue;
+    if (!best || edgeCost(edge) < edgeCost(best)) {
+      best = edge;
+    }
+  }
+  return best;
+}
+
+function straightLineDistance(a, b) {
+  return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+}
+
+// Largest factor k with k * straight-line distance <= edge cost for every edge whose ends have
+// positions on the same floor. Scaling the Euclidean heuristic by k keeps it consistent even
+// though elevators and doors don't cost their length in metres.
+function heuristicScale(adjacencyList, positions, profile) {
+  let scale = Infinity;
+  for (const [nodeId, edges] of Object.entries(adjacencyList)) {
+    const from = positions[nodeId];
+    if (!from) continue;
+    for (const edge of edges) {
+      const to = positions[edge.node || edge];
+      if (!to || to.floor !== from.floor || edgeBarrier(edge, profile)) continue;
+      const length = straightLineDistance(from, to);
+      if (length > 0) {
+        scale = Math.min(scale, edgeCost(edge) / length);
+      }
+    }
+  }
+  return Number.isFinite(scale) ? scale : 0;
+}
+
+// A* search over the adjacency list; returns { path, cost } or null when the end can't be reached.
+// endNode may also be a list of nodes (e.g. the entrances of a room); the path then leads to
+// whichever of them is cheapest to reach.
+// positions ({ nodeId: { x, y, z, floor } }) feed the Euclidean heuristic. Floors have unrelated
+// coordinate frames, so the heuristic is only used for nodes on a goal's floor; without
+// positions the search behaves like Dijkstra's algorithm.
+export function findPath(adjacencyList, startNode, endNode, { profile = DEFAULT_ROUTING_PROFILE, positions = {} } = {}) {
+  const { errors } = validateGraph(adjacencyList);
+  if (errors.length > 0) {
+    throw new GraphValidationError(errors);
+  }
+  const nodes = graphNodes(adjacencyList);
+  const goals = new Set([].concat(endNode).filter(node => nodes.has(node)));
+  if (!nodes.has(startNode) || goals.size === 0) {
+    return null;
+  }
+
+  // A goal without a position could be anywhere, so it rules the heuristic out
+  const goalPositions = [...goals].map(goal => positions[goal]);
+  const scale = goalPositions.every(Boolean) ? heuristicScale(adjacencyList, positions, profile) : 0;
+  const heuristic = (nodeId) => {
+    const position = positions[nodeId];
+    if (!scale || !position) return 0;
+    let estimate = Infinity;
+    for (const goal of goalPositions) {
+      estimate = Math.min(estimate, goal.floor === position.floor ? scale * straightLineDistance(position, goal) : 0);
+    }
+    return estimate;
+  };
+
+  const costs = new Map([[startNode, 0]]);
+  const previous = new Map();
+  const closed = new Set();
+  const open = new BinaryHeap();
+  open.push(startNode, heuristic(startNode));
+
+  while (open.size > 0) {
+    const { node: currentNode } = open.pop();
+    if (closed.has(currentNode)) continue; // Stale heap entry
+
+    if (goals.has(currentNode)) {
+      // Reconstruct path
+      const path = [currentNode];
+      while (previous.has(path[0])) {
+        path.unshift(previous.get(path[0]));
+      }
+      return { path, cost: costs.get(currentNode) };
+    }
+    closed.add(currentNode);
+
+    // Check neighbors
+    for (const edge of adjacencyList[currentNode] || []) {
+      // Skip stairs, steep ramps and narrow doors when they don't suit the profile
+      if (edgeBarrier(edge, profile)) continue;
+
+      const neighbor = edge.node || edge;
+      const altCost = costs.get(currentNode) + edgeCost(edge);
+      if (altCost < (costs.has(neighbor) ? costs.get(neighbor) : Infinity)) {
+        costs.set(neighbor, altCost);
+        previous.set(neighbor, currentNode);
+        // Reopen the node if it was closed (only possible where the heuristic crosses floors)
+        closed.delete(neighbor);
+        open.push(neighbor, altCost + heuristic(neighbor));
+      }
+    }
+  }
+
+  return null; // No path found
+}
+
+// Resolve a destination given as a node ID or a room name
+export function resolveDestination({ adjacencyList, roomMapping = {} }, destination) {
+  if (hasNode(adjacencyList, destination)) {
+    return destination;
+  }
+  const entry = Object.entries(roomMapping).find(([, room]) => room === destination);
+  return entry ? entry[0] : null;
+}
+
+// Edges of a (standard) path that a routing profile can't use
+export function routeBarriers(adjacencyList, path, profile) {
+  const barriers = [];
+  for (let i = 0; i < path.length - 1; i++) {
+    const edge = findEdge(adjacencyList, path[i], path[i + 1]);
+    const barrier = edge && edgeBarrier(edge, profile);
+    if (barrier) {
+      barriers.push({ from: path[i], to: path[i + 1], barrier });
+    }
+  }
+  return barriers;
+}
+
+// Plan a route and describe it segment by segment. to is a node or a list of nodes to choose from.
+// floorNames maps floor IDs to display names for "Take the elevator to Floor 3" steps.
+export function planRoute(graph, from, to, { profile = DEFAULT_ROUTING_PROFILE, floorNames = {} } = {}) {
+  const result = findPath(graph.adjacencyList, from, to, { profile, positions: graph.positions });
+  if (!result) {
+    return null;
+  }
+
+  let distance = 0;
+  const segments = [];
+  for (let i = 0; i < result.path.length - 1; i++) {
+    const edge = findEdge(graph.adjacencyList, result.path[i], result.path[i + 1], profile);
+    const segment = {
+      from: result.path[i],
+      to: result.path[i + 1],
+      distance: edge.distance || 0,
+      type: edgeType(edge),
+      instruction: describeSegment(edge, floorNames[edge.floor] || `Floor ${edge.floor}`)
+    };
+    if (edge.floor) {
+      segment.floor = edge.floor;
+    }
+    distance += segment.distance;
+    segments.push(segment);
+  }
+
+  return {
+    path: result.path,
+    distance,
+    cost: result.cost,
+    segments
+  };
+}
@@ -0,0 +1,216 @@
+// Directory of rooms and other points of interest (POIs), shared by the server (/api/directory,
+// /api/route) and the AR client; no Node or DOM APIs.
+//
+// Each floor keeps its POIs in poi-directory.json as { pois: [poi] } with
+//   { id, name, room?, category, aliases?, hours?, entrances: [nodeId] }
+// - room is the room number on the door (e.g. "A201"), name what people call it ("Robotics Lab")
+// - entrances are the waypoints of the floor you can walk into the POI from; routes lead to the
+//   one that is cheapest to reach
+// - hours are the opening hours per weekday, e.g. { mon: ['08:00-12:00', '13:00-17:00'] };
+//   days without hours are closed. POIs without hours are always open.
+// Rooms of the older node-room-mapping.json that no POI covers are listed too, as 'other'.
+import { qualifyNodeId } from './graph.js';
+
+export const POI_CATEGORIES = {
+  office: { label: 'Office' },
+  lab: { label: 'Lab' },
+  restroom: { label: 'Restroom' },
+  elevator: { label: 'Elevator' },
+  exit: { label: 'Exit' },
+  other: { label: 'Other' }
+};
+
+export const DEFAULT_POI_CATEGORY = 'other';
+
+// Weekday keys of opening hours, in Date.getDay() order
+export const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const TIME_RANGE = /^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-4]):([0-5]\d)$/;
+
+// Minutes since midnight of the start and end of '08:00-17:00', or null if it isn't a range
+export function parseTimeRange(range) {
+  const match = typeof range === 'string' && TIME_RANGE.exec(range);
+  if (!match) {
+    return null;
+  }
+  const start = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  const end = parseInt(match[3], 10) * 60 + parseInt(match[4], 10);
+  return start < end && end <= 24 * 60 ? { start, end } : null;
+}
+
+// Whether a POI is open at the given time (local time of the server or browser)
+export function isOpen(poi, date = new Date()) {
+  if (!poi.hours) {
+    return true;
+  }
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  return (poi.hours[DAYS[date.getDay()]] || []).some(range => {
+    const parsed = parseTimeRange(range);
+    return parsed !== null && minutes >= parsed.start && minutes < parsed.end;
+  });
+}
+
+// Compare names without case, spaces and punctuation, so "a-201" finds "A 201"
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/[\s\-_.,'()/]+/g, '');
+}
+
+function slug(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'room';
+}
+
+function namesOf(poi) {
+  return [poi.name, poi.room, ...(poi.aliases || [])].filter(Boolean);
+}
+
+// POIs for the rooms of a legacy room mapping that none of the floor's POIs cover. A room mapped
+// to several waypoints becomes one POI with several entrances.
+function roomsAsPois(roomMapping, pois) {
+  const covered = new Set();
+  for (const poi of pois) {
+    namesOf(poi).forEach(name => covered.add(normalize(name)));
+    (poi.entrances || []).forEach(nodeId => covered.add(`node:${nodeId}`));
+  }
+
+  const rooms = new Map();
+  for (const [nodeId, room] of Object.entries(roomMapping || {})) {
+    if (covered.has(normalize(room)) || covered.has(`node:${nodeId}`)) continue;
+    if (!rooms.has(room)) {
+      rooms.set(room, []);
+    }
+    rooms.get(room).push(nodeId);
+  }
+
+  const ids = new Set(pois.map(poi => poi.id));
+  return [...rooms].map(([room, entrances]) => {
+    let id = slug(room);
+    for (let n = 2; ids.has(id); n++) {
+      id = `${slug(room)}-${n}`;
+    }
+    ids.add(id);
+    return { id, name: room, room, category: DEFAULT_POI_CATEGORY, entrances };
+  });
+}
+
+// The POIs of all floors of a venue, with POI and entrance IDs relative to currentFloorId like the
+// node IDs of buildVenueGraph ("<floorId>:<id>" on other floors).
+// floors: [{ id, pois, roomMapping }]
+export function buildDirectory(floors, currentFloorId) {
+  const directory = [];
+  for (const floor of floors) {
+    const pois = floor.pois || [];
+    for (const poi of [...pois, ...roomsAsPois(floor.roomMapping, pois)]) {
+      directory.push({
+        id: qualifyNodeId(floor.id, poi.id, currentFloorId),
+        floor: floor.id,
+        name: poi.name,
+        room: poi.room || null,
+        category: POI_CATEGORIES[poi.category] ? poi.category : DEFAULT_POI_CATEGORY,
+        aliases: poi.aliases || [],
+        hours: poi.hours || null,
+        entrances: (poi.entrances || []).map(nodeId => qualifyNodeId(floor.id, nodeId, currentFloorId))
+      });
+    }
+  }
+  return directory;
+}
+
+// Edit distance (insertions, deletions, substitutions and swapped neighbours) between two
+// strings, or max + 1 as soon as it is certain to be larger than max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+  let before = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i];
+    for (let j = 1; j <= b.length; j++) {
+      next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (before && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        next[j] = Math.min(next[j], before[j - 2] + 1);
+      }
+    }
+    if (Math.min(...next) > max && (!before || Math.min(...row) > max)) {
+      return max + 1;
+    }
+    before = row;
+    row = next;
+  }
+  return row[b.length];
+}
+
+// Whether the letters of query appear in text in the same order, e.g. "rblab" in "roboticslab"
+function isSubsequence(query, text) {
+  let index = 0;
+  for (const char of text) {
+    if (char === query[index]) index++;
+    if (index === query.length) return true;
+  }
+  return false;
+}
+
+// One typo is allowed per 4 letters typed
+const LETTERS_PER_TYPO = 4;
+
+// How well a normalized query matches a POI, from 0 (not at all) to 1. Names, room numbers and
+// aliases are compared whole and word by word:
+// exact 1, starts with the query 0.9, contains it 0.75, starts with it give or take a few typos
+// 0.6, has its letters in order 0.4, and 0.3 when the query names the POI's category
+function matchScore(poi, query) {
+  const typos = Math.floor(query.length / LETTERS_PER_TYPO);
+  let score = 0;
+  for (const name of namesOf(poi)) {
+    const text = normalize(name);
+    if (text === query) return 1;
+
+    const words = String(name).split(/[\s\-_.,'()/]+/).map(normalize).filter(Boolean);
+    for (const candidate of [text, ...words]) {
+      if (candidate.startsWith(query)) {
+        score = Math.max(score, 0.9);
+      } else if (candidate.includes(query)) {
+        score = Math.max(score, 0.75);
+      } else if (typos > 0 && [-1, 0, 1].some(extra =>
+        editDistance(query, candidate.slice(0, query.length + extra), typos) <= typos)) {
+        score = Math.max(score, 0.6);
+      }
+    }
+    if (score < 0.4 && query.length >= 3 && isSubsequence(query, text)) {
+      score = 0.4;
+    }
+  }
+
+  const category = POI_CATEGORIES[poi.category];
+  if (score === 0 && (normalize(category.label).startsWith(query) || poi.category.startsWith(query))) {
+    score = 0.3;
+  }
+  return score;
+}
+
+// POIs matching a free-text query, best matches first; without a query all POIs by name.
+// Matching is fuzzy (see matchScore), so "robtics" still finds the Robotics Lab.
+// category limits the results to one of POI_CATEGORIES, limit to that many POIs.
+export function searchPois(directory, query, { category, limit = Infinity } = {}) {
+  const candidates = category ? directory.filter(poi => poi.category === category) : directory;
+  const byName = (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true });
+  const text = normalize(query);
+  if (!text) {
+    return [...candidates].sort(byName).slice(0, limit);
+  }
+  return candidates
+    .map(poi => ({ poi, score: matchScore(poi, text) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || byName(a.poi, b.poi))
+    .slice(0, limit)
+    .map(({ poi }) => poi);
+}
+
+// The POI a destination refers to: its ID, or exactly its name, room number or an alias
+export function findPoi(directory, destination) {
+  const byId = directory.find(poi => poi.id === destination);
+  if (byId) {
+    return byId;
+  }
+  const text = normalize(destination);
+  return directory.find(poi => namesOf(poi).some(name => normalize(name) === text)) || null;
+}
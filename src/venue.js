@@ -0,0 +1,34 @@
+// Venue and floor the page is working on, taken from the URL (?venue=main&floor=2).
+// Without a venue the legacy /api/positions, /api/graph and /api/rooms endpoints are used.
+const params = new URLSearchParams(window.location.search);
+
+let venueId = params.get('venue');
+let floorId = params.get('floor') || (venueId ? 'default' : null);
+
+export function getVenueId() {
+  return venueId;
+}
+
+export function getFloorId() {
+  return floorId;
+}
+
+// Switch to another floor of the current venue and keep the URL in sync so a reload stays on it
+export function setFloorId(newFloorId) {
+  venueId = venueId || 'default';
+  floorId = newFloorId;
+
+  const url = new URL(window.location.href);
+  url.searchParams.set('venue', venueId);
+  url.searchParams.set('floor', newFloorId);
+  window.history.replaceState(null, '', url);
+}
+
+// Build the API URL of a floor-scoped resource, e.g. floorApiUrl('graph'),
+// or of another floor of the same venue, e.g. floorApiUrl('markers', '3')
+export function floorApiUrl(resource, floor = floorId) {
+  if (!venueId) {
+    return `/api/${resource}`;
+  }
+  return `/api/venues/${encodeURIComponent(venueId)}/floors/${encodeURIComponent(floor)}/${resource}`;
+}